@@ -0,0 +1,258 @@
+// bots.js
+// Simulated teams for rehearsals and load tests. Every bot is a real socket.io client that joins
+// with a team PIN, so it goes through exactly the same flow as a team device.
+// - Answers after a delay drawn from its timing (seconds): normal:mean,sd | uniform:min,max | exp:mean
+// - Right with probability `accuracy` when it can see the answer key (answerKey callback), otherwise
+//   a wrong answer of the question's type
+// - Drops its connection at random (dropRate = chance per question) and comes back with its resume token
+// - Measures how long each state broadcast took to arrive (receive time - the state's serverNow)
+// Started from the host panel (server.js, "Add bots") or by the load test CLI (load_test.js).
+
+const { io: connect } = require("socket.io-client");
+const { correctChoices } = require("./question_types");
+const { makeSeed, nextRandom } = require("./seeded_random");
+
+const DEFAULT_BOT_OPTIONS = { accuracy: 0.7, timing: "normal:6,2", dropRate: 0.05 };
+const MIN_DELAY_MS = 300;
+const LATENCY_SAMPLES_KEPT = 200000;
+
+function clamp01(x, fallback) {
+  const n = Number(x);
+  return Number.isFinite(n) ? Math.min(1, Math.max(0, n)) : fallback;
+}
+
+// "normal:6,2" -> { kind, a, b, text }, null when it can't be read
+function parseTiming(text) {
+  const m = String(text || "").trim().toLowerCase().match(/^(normal|uniform|exp)\s*:\s*([\d.]+)\s*(?:,\s*([\d.]+))?$/);
+  if (!m) return null;
+  const a = Number(m[2]);
+  const b = m[3] == null ? null : Number(m[3]);
+  if (!Number.isFinite(a)) return null;
+  if (m[1] !== "exp" && !Number.isFinite(b)) return null;
+  if (m[1] === "uniform" && b < a) return null;
+  return { kind: m[1], a, b, text: `${m[1]}:${a}${b == null ? "" : `,${b}`}` };
+}
+
+// { accuracy, timing, dropRate } from host / CLI input, or { error }
+function normalizeBotOptions(raw = {}) {
+  const timingText = raw.timing == null || raw.timing === "" ? DEFAULT_BOT_OPTIONS.timing : raw.timing;
+  const timing = parseTiming(timingText);
+  if (!timing) return { error: `Bad timing "${timingText}". Use normal:mean,sd, uniform:min,max or exp:mean (seconds).` };
+  return {
+    accuracy: clamp01(raw.accuracy, DEFAULT_BOT_OPTIONS.accuracy),
+    timing,
+    dropRate: clamp01(raw.dropRate, DEFAULT_BOT_OPTIONS.dropRate)
+  };
+}
+
+function sampleDelayMs(timing, random) {
+  let sec;
+  if (timing.kind === "uniform") sec = timing.a + (timing.b - timing.a) * random();
+  else if (timing.kind === "exp") sec = -timing.a * Math.log(1 - random());
+  else {
+    // Box-Muller
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    sec = timing.a + timing.b * z;
+  }
+  return Math.max(MIN_DELAY_MS, Math.round(sec * 1000));
+}
+
+function pickOne(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function shuffled(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function correctAnswerOf(key) {
+  const type = key.type || "mc";
+  if (type === "multi") return key.correctIndexes;
+  if (type === "numeric") return key.correctValue;
+  if (type === "order") return key.correctOrder;
+  return correctChoices(key)[0];
+}
+
+/**
+ * What the bot locks in, as lockAnswer expects it.
+ *   q        the question as the team sees it (no answer key)
+ *   key      the same question with its answer key, or null when the bot can't know it
+ *   hidden   options removed by 50:50
+ */
+function pickAnswer(q, key, accuracy, random, hidden = []) {
+  const type = q.type || "mc";
+  const indexes = (q.choices || []).map((_, i) => i);
+  if (key && random() < accuracy) return correctAnswerOf(key);
+
+  if (type === "numeric") {
+    const base = key && Number.isFinite(key.correctValue) ? key.correctValue : 100;
+    const off = Math.max(1, Math.round(Math.abs(base) * (0.05 + random() * 0.5)));
+    return random() < 0.5 ? base - off : base + off;
+  }
+  if (type === "order") return shuffled(indexes, random);
+  if (type === "multi") {
+    const picked = indexes.filter(() => random() < 0.5);
+    return picked.length ? picked : [pickOne(indexes, random)];
+  }
+
+  const right = key ? correctChoices(key) : [];
+  const visible = indexes.filter(i => !hidden.includes(i));
+  const wrong = visible.filter(i => !right.includes(i));
+  return pickOne(wrong.length ? wrong : visible, random);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/**
+ * A fleet of bots for one room. answerKey(question) returns the running question with its
+ * answer key (or null), so bots can be right `accuracy` of the time.
+ *   fleet.add(pins, options)   start one bot per PIN
+ *   fleet.stop()               disconnect them all
+ *   fleet.stats()              counters + broadcast latency percentiles (ms)
+ */
+function createFleet({ url, room, answerKey = () => null, seed = makeSeed(), log = () => {} }) {
+  const rng = { rngState: seed | 0 };
+  const random = () => nextRandom(rng);
+  const bots = new Map();
+  const latencies = [];
+  const counters = { answers: 0, drops: 0, resumes: 0, errors: 0 };
+
+  function createBot(pin, options) {
+    const bot = { pin, options, token: "", joined: false, runKey: "", timers: new Set(), stopped: false };
+    const socket = connect(url, {
+      query: { room },
+      transports: ["websocket"],
+      reconnection: false,
+      forceNew: true
+    });
+    bot.socket = socket;
+
+    function later(ms, fn) {
+      const timer = setTimeout(() => {
+        bot.timers.delete(timer);
+        if (!bot.stopped) fn();
+      }, ms);
+      bot.timers.add(timer);
+    }
+
+    function dropAndComeBack(offlineMs) {
+      if (!socket.connected) return;
+      counters.drops++;
+      socket.disconnect();
+      bot.runKey = "";
+      later(offlineMs, () => socket.connect());
+    }
+
+    function onQuestion(s) {
+      const me = s.me || {};
+      if (s.tieBreak && Array.isArray(s.tieBreak.pins) && !s.tieBreak.pins.includes(pin)) return;
+      const delayMs = sampleDelayMs(options.timing, random);
+
+      // drops out before answering; answers after it is back if time is left
+      if (random() < options.dropRate) {
+        const offlineMs = Math.round(1000 + random() * 4000);
+        later(Math.round(delayMs * random()), () => dropAndComeBack(offlineMs));
+        return;
+      }
+
+      const runKey = bot.runKey;
+      later(delayMs, () => {
+        if (bot.runKey !== runKey || !socket.connected) return;
+        const key = answerKey(s.question);
+        socket.emit("lockAnswer", pickAnswer(s.question, key, options.accuracy, random, me.hiddenChoices || []));
+        counters.answers++;
+      });
+    }
+
+    socket.on("connect", () => {
+      if (bot.token) socket.emit("resumeTeam", { pin, token: bot.token, room });
+      else socket.emit("joinTeam", { pin, room });
+    });
+    socket.on("joined", (j) => {
+      if (bot.token) counters.resumes++;
+      bot.token = j.resumeToken;
+      bot.joined = true;
+    });
+    socket.on("resumeFailed", () => {
+      bot.token = "";
+      socket.emit("joinTeam", { pin, room });
+    });
+    socket.on("joinError", (msg) => {
+      counters.errors++;
+      log(`🤖 ${pin}: ${msg}`);
+    });
+    socket.on("kicked", () => stopBot(bot));
+    socket.on("connect_error", () => { counters.errors++; });
+
+    socket.on("state", (s) => {
+      if (s.serverNow && latencies.length < LATENCY_SAMPLES_KEPT) latencies.push(Date.now() - s.serverNow);
+      if (!bot.joined) return;
+
+      const live = s.phase === "question" && !s.paused && s.question && s.me && s.me.lockedChoice == null;
+      const runKey = live ? `${s.qIndex}:${s.tieBreak ? s.tieBreak.number : ""}:${s.endsAt}` : "";
+      if (runKey === bot.runKey) return;
+      bot.runKey = runKey;
+      if (live) onQuestion(s);
+    });
+
+    return bot;
+  }
+
+  function stopBot(bot) {
+    bot.stopped = true;
+    for (const timer of bot.timers) clearTimeout(timer);
+    bot.timers.clear();
+    bot.socket.disconnect();
+    bot.joined = false;
+  }
+
+  return {
+    seed,
+    add(pins, options) {
+      for (const pin of pins) {
+        if (bots.has(pin)) continue;
+        bots.set(pin, createBot(pin, options));
+      }
+    },
+    stop(pins = [...bots.keys()]) {
+      for (const pin of pins) {
+        const bot = bots.get(pin);
+        if (!bot) continue;
+        stopBot(bot);
+        bots.delete(pin);
+      }
+    },
+    stats() {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      return {
+        bots: bots.size,
+        joined: [...bots.values()].filter(b => b.joined).length,
+        online: [...bots.values()].filter(b => b.socket.connected).length,
+        ...counters,
+        latency: {
+          count: sorted.length,
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          p99: percentile(sorted, 99),
+          max: sorted.length ? sorted[sorted.length - 1] : null
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_BOT_OPTIONS,
+  parseTiming,
+  normalizeBotOptions,
+  pickAnswer,
+  createFleet,
+};
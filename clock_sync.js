@@ -0,0 +1,70 @@
+// clock_sync.js
+// Server side of the clock sync + latency compensation.
+// - Every connected device is pinged (CLOCK_PING_MS, default 5s); the ack gives its round-trip time
+// - Devices ask for the server clock themselves ("clockSync") to show the same countdown (public/client.js)
+// - An answer's time is taken back to when it was tapped, by the device's own (server-clock) stamp,
+//   but never by more than the measured round trip or LATENCY_COMP_MAX_MS (default 1000ms)
+// - Auto-reveal waits REVEAL_GRACE_MS (default 300ms) after the timer so answers still in flight count
+
+const CLOCK_PING_MS = Number(process.env.CLOCK_PING_MS) || 5000;
+const LATENCY_COMP_MAX_MS = Math.max(0, Number(process.env.LATENCY_COMP_MAX_MS ?? 1000) || 0);
+const REVEAL_GRACE_MS = Math.max(0, Number(process.env.REVEAL_GRACE_MS ?? 300) || 0);
+const RTT_SAMPLES = 5;
+
+function median(nums) {
+  const s = [...nums].sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+}
+
+// Round-trip estimate for a socket (median of the last pings); null until the first ack
+function rttOf(socket) {
+  const samples = socket.data.rttSamples;
+  return samples && samples.length ? median(samples) : null;
+}
+
+function pingSocket(socket) {
+  const sentAt = Date.now();
+  socket.timeout(CLOCK_PING_MS).emit("clockPing", { serverNow: sentAt }, (err) => {
+    if (err) return; // no ack in time: keep the previous estimate
+    const samples = socket.data.rttSamples || (socket.data.rttSamples = []);
+    samples.push(Date.now() - sentAt);
+    if (samples.length > RTT_SAMPLES) samples.shift();
+  });
+}
+
+function startClockPings(io) {
+  io.on("connection", (socket) => {
+    pingSocket(socket);
+    // the device's own sync requests: reply with the server clock
+    socket.on("clockSync", (ack) => {
+      if (typeof ack === "function") ack(Date.now());
+    });
+  });
+  setInterval(() => {
+    for (const socket of io.sockets.sockets.values()) pingSocket(socket);
+  }, CLOCK_PING_MS);
+}
+
+/**
+ * How many ms to take off an answer's arrival time.
+ *   claimedAt      server-clock time the device says the answer was tapped (may be missing or wrong)
+ *   rttMs          measured round trip for the device (null = not measured yet)
+ *   runningForMs   how long the clock has run since the last resume; time before that never counts
+ */
+function latencyCompensationMs({ claimedAt, rttMs, runningForMs, now = Date.now() }) {
+  const limit = Math.max(0, Math.min(
+    LATENCY_COMP_MAX_MS,
+    rttMs == null ? 0 : rttMs,
+    runningForMs
+  ));
+  // no usable stamp from the device: assume the answer spent half the round trip on the way
+  const lag = Number.isFinite(claimedAt) ? now - claimedAt : (rttMs == null ? 0 : rttMs / 2);
+  return Math.round(Math.max(0, Math.min(limit, lag)));
+}
+
+module.exports = {
+  REVEAL_GRACE_MS,
+  startClockPings,
+  rttOf,
+  latencyCompensationMs,
+};
@@ -0,0 +1,125 @@
+// data_check.js
+// Validation report for a room's Teams + Questions (+ TieBreakers, Settings) tabs: every rejected or modified row with its
+// row number and reason, duplicate qIds / PINs, and local media files missing from public/media.
+// Used by the server (host panel, before Start) and from the command line:
+//
+//   npm run check -- [--questions Questions] [--teams Teams] [--tiebreakers TieBreakers] [--settings Settings]
+//
+// Exits with code 1 when a row was rejected, so it can run before an event in a script.
+
+// the store backend is picked from env at require time
+if (require.main === module) require("dotenv").config();
+
+const { STORE_NAME, loadTeamsFromSheet, loadQuestionsFromSheet, loadSettingsFromSheet } = require("./store");
+const { DEFAULT_SETTINGS } = require("./settings");
+
+// The Settings tab is optional too: without it every setting keeps its default
+async function loadSettings(settingsSheet, issues) {
+  if (!settingsSheet) return { ...DEFAULT_SETTINGS };
+  const from = issues.length;
+  try {
+    const settings = await loadSettingsFromSheet(settingsSheet, issues);
+    for (const i of issues.slice(from)) i.sheet = settingsSheet;
+    return settings;
+  } catch (err) {
+    issues.push({
+      sheet: settingsSheet, row: 1, key: "", level: "warning",
+      message: `not loaded (${err.message || err}); using the default settings`
+    });
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+// The tie-breaker pool is optional: a tab that can't be read is a warning, not a failure
+async function loadTieBreakers(tieBreakSheet, issues, settings) {
+  if (!tieBreakSheet) return [];
+  const from = issues.length;
+  try {
+    const pool = await loadQuestionsFromSheet(tieBreakSheet, issues, settings);
+    for (const i of issues.slice(from)) i.sheet = tieBreakSheet;
+    return pool;
+  } catch (err) {
+    issues.push({
+      sheet: tieBreakSheet, row: 1, key: "", level: "warning",
+      message: `not loaded (${err.message || err}); tied podium places can't be decided by sudden death`
+    });
+    return [];
+  }
+}
+
+async function checkRoomData({ questionsSheet, teamsSheet, tieBreakSheet, settingsSheet }) {
+  const issues = [];
+  // first: the default question time and allowed ranges come from it
+  const settings = await loadSettings(settingsSheet, issues);
+  const teams = await loadTeamsFromSheet(teamsSheet, issues);
+  const questions = await loadQuestionsFromSheet(questionsSheet, issues, settings);
+  const tieBreakers = await loadTieBreakers(tieBreakSheet, issues, settings);
+
+  const report = {
+    checkedAt: Date.now(),
+    questionsSheet,
+    teamsSheet,
+    tieBreakSheet: tieBreakSheet || "",
+    settingsSheet: settingsSheet || "",
+    teamCount: teams.length,
+    questionCount: questions.length,
+    tieBreakCount: tieBreakers.length,
+    title: settings.title,
+    errors: issues.filter(i => i.level === "error").length,
+    warnings: issues.filter(i => i.level === "warning").length,
+    issues,
+  };
+  return { teams, questions, tieBreakers, settings, report };
+}
+
+function formatReport(report) {
+  const lines = [
+    `${report.teamsSheet}: ${report.teamCount} teams loaded`,
+    `${report.questionsSheet}: ${report.questionCount} questions loaded`,
+  ];
+  if (report.tieBreakSheet) lines.push(`${report.tieBreakSheet}: ${report.tieBreakCount} tie-breaker questions loaded`);
+  if (report.settingsSheet) lines.push(`${report.settingsSheet}: settings for "${report.title}"`);
+  if (!report.issues.length) {
+    lines.push("✅ No problems found.");
+    return lines.join("\n");
+  }
+
+  lines.push(`${report.errors} row(s) rejected, ${report.warnings} warning(s):`);
+  for (const i of report.issues) {
+    const icon = i.level === "error" ? "❌" : "⚠️ ";
+    const key = i.key ? ` (${i.key})` : "";
+    lines.push(`  ${icon} ${i.sheet} row ${i.row}${key}: ${i.message}`);
+  }
+  return lines.join("\n");
+}
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+async function cli(args) {
+  const questionsSheet = argValue(args, "--questions") || process.env.QUESTIONS_SHEET_NAME || "Questions";
+  const teamsSheet = argValue(args, "--teams") || process.env.TEAMS_SHEET_NAME || "Teams";
+  const tieBreakSheet = argValue(args, "--tiebreakers") || process.env.TIEBREAK_SHEET_NAME || "TieBreakers";
+  const settingsSheet = argValue(args, "--settings") || process.env.SETTINGS_SHEET_NAME || "Settings";
+
+  console.log(`Checking ${teamsSheet} + ${questionsSheet} + ${tieBreakSheet} + ${settingsSheet} (${STORE_NAME})…`);
+  const { report } = await checkRoomData({ questionsSheet, teamsSheet, tieBreakSheet, settingsSheet });
+  console.log(formatReport(report));
+  return report.errors ? 1 : 0;
+}
+
+if (require.main === module) {
+  cli(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error("❌", err.message || err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  checkRoomData,
+  formatReport,
+};
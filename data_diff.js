@@ -0,0 +1,74 @@
+// data_diff.js
+// Compares what is loaded in a room with a fresh read of the Teams / Questions / Settings tabs,
+// so the host can see what a reload would change before applying it.
+// Teams are matched by pin, questions by qId, settings by name.
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Keys whose values differ between two objects (keyField excluded)
+function changedFields(before, after, keyField) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.delete(keyField);
+  return [...keys].filter(k => !sameValue(before[k], after[k]));
+}
+
+function diffBy(keyField, labelOf, before, after) {
+  const oldByKey = new Map(before.map(x => [x[keyField], x]));
+  const newByKey = new Map(after.map(x => [x[keyField], x]));
+
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  for (const [key, item] of newByKey.entries()) {
+    const prev = oldByKey.get(key);
+    if (!prev) {
+      added.push({ key, label: labelOf(item) });
+      continue;
+    }
+    const fields = changedFields(prev, item, keyField);
+    if (fields.length) changed.push({ key, label: labelOf(item), fields });
+  }
+  for (const [key, item] of oldByKey.entries()) {
+    if (!newByKey.has(key)) removed.push({ key, label: labelOf(item) });
+  }
+
+  // same items, different order (question order matters when shuffling is off)
+  const keptBefore = before.map(x => x[keyField]).filter(k => newByKey.has(k));
+  const keptAfter = after.map(x => x[keyField]).filter(k => oldByKey.has(k));
+  const reordered = !sameValue(keptBefore, keptAfter);
+
+  return { added, changed, removed, reordered, count: after.length };
+}
+
+function diffTeams(before, after) {
+  return diffBy("pin", t => t.name, before, after);
+}
+
+function diffQuestions(before, after) {
+  return diffBy("qId", q => q.text, before, after);
+}
+
+// settings.js objects: every setting always has a value, so only "changed" can happen
+function diffSettings(before, after) {
+  const changed = Object.keys(after)
+    .filter(k => !sameValue(before[k], after[k]))
+    .map(k => ({ key: k, label: Array.isArray(after[k]) ? after[k].join(",") : after[k] === "" ? "(blank)" : String(after[k]) }));
+  return { added: [], changed, removed: [], reordered: false, count: Object.keys(after).length };
+}
+
+function hasChanges(diff) {
+  return ["teams", "questions", "tieBreakers", "settings"].some(k => {
+    const d = diff[k];
+    return d && (d.added.length || d.changed.length || d.removed.length || d.reordered);
+  });
+}
+
+module.exports = {
+  diffTeams,
+  diffQuestions,
+  diffSettings,
+  hasChanges,
+};
@@ -0,0 +1,210 @@
+// file_store.js
+// Offline store: same API as sheets_store.js, backed by local files.
+// Each sheet tab is a file in OFFLINE_DATA_DIR (default ./data):
+//   Teams.csv, Questions.csv, Settings.csv  -> read (Teams.json etc. also accepted)
+//   Teams.csv -> scores and self-registered teams written back
+//   QuestionLog.csv, AnswerLog.csv -> appended (created with a header row)
+// Tab names follow the same env vars as the Sheets backend.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  QUESTION_LOG_HEADERS,
+  ANSWER_LOG_HEADERS,
+  normalizeHeaders,
+  parseTeamRows,
+  parseQuestionRows,
+  parseSettingsRows,
+  planScoreUpdates,
+  teamRowFor,
+} = require("./sheet_rows");
+
+function dataDir() {
+  const dir = process.env.OFFLINE_DATA_DIR || "data";
+  return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+// ------------------- CSV -------------------
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  text = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else field += ch;
+  }
+
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+  // drop blank lines, like the Sheets API does for empty rows at the end
+  return rows.filter(r => r.some(c => String(c).trim() !== ""));
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// JSON tabs may be an array of arrays (rows) or an array of objects (header = keys).
+function jsonToRows(data) {
+  if (!Array.isArray(data) || data.length === 0) return [];
+  if (Array.isArray(data[0])) return data;
+
+  const headers = [];
+  for (const obj of data) {
+    for (const k of Object.keys(obj || {})) if (!headers.includes(k)) headers.push(k);
+  }
+  return [headers, ...data.map(obj => headers.map(h => obj[h] ?? ""))];
+}
+
+// ------------------- FILE I/O -------------------
+// <dataDir>/<sheetName><ext>; a tab name that points outside the data folder is refused
+function sheetFilePath(sheetName, ext) {
+  const dir = path.resolve(dataDir());
+  const file = path.resolve(dir, `${sheetName}${ext}`);
+  if (path.dirname(file) !== dir) throw new Error(`Invalid tab name: ${sheetName}`);
+  return file;
+}
+
+function csvPath(sheetName) { return sheetFilePath(sheetName, ".csv"); }
+
+function readRows(sheetName) {
+  const csvFile = csvPath(sheetName);
+  if (fs.existsSync(csvFile)) return parseCsv(fs.readFileSync(csvFile, "utf8"));
+
+  const jsonFile = sheetFilePath(sheetName, ".json");
+  if (fs.existsSync(jsonFile)) return jsonToRows(JSON.parse(fs.readFileSync(jsonFile, "utf8")));
+
+  throw new Error(`Offline data file not found: ${csvFile} (or ${sheetName}.json)`);
+}
+
+function writeRowsAtomic(file, rows) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, toCsv(rows), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function appendRows(sheetName, headers, rows) {
+  if (!rows || rows.length === 0) return { appended: 0 };
+
+  const file = csvPath(sheetName);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let prefix = "";
+  if (!fs.existsSync(file) || fs.statSync(file).size === 0) {
+    prefix = toCsv([headers]);
+  } else {
+    // make sure we start on a fresh line if the file was edited by hand
+    const buf = fs.readFileSync(file);
+    if (buf.length && buf[buf.length - 1] !== 0x0a) prefix = "\n";
+  }
+
+  fs.appendFileSync(file, prefix + toCsv(rows), "utf8");
+  return { appended: rows.length };
+}
+
+// ------------------- STORE API -------------------
+async function loadTeamsFromSheet(sheetName = process.env.TEAMS_SHEET_NAME || "Teams", issues = null) {
+  return parseTeamRows(readRows(sheetName), issues);
+}
+
+async function loadQuestionsFromSheet(sheetName = process.env.QUESTIONS_SHEET_NAME || "Questions", issues = null, settings = undefined) {
+  return parseQuestionRows(readRows(sheetName), issues, settings);
+}
+
+async function loadSettingsFromSheet(sheetName = process.env.SETTINGS_SHEET_NAME || "Settings", issues = null) {
+  return parseSettingsRows(readRows(sheetName), issues);
+}
+
+async function updateScoresToSheet(pinToScore, sheetName = process.env.TEAMS_SHEET_NAME || "Teams") {
+  const rows = readRows(sheetName);
+
+  const cells = planScoreUpdates(rows, pinToScore);
+  if (!cells.length) return { updated: 0 };
+
+  for (const { rowIndex, colIndex, value } of cells) {
+    const r = rows[rowIndex];
+    while (r.length <= colIndex) r.push("");
+    r[colIndex] = value;
+  }
+
+  // Teams.json is rewritten as CSV so the scores sit next to the source data
+  writeRowsAtomic(csvPath(sheetName), rows);
+  return { updated: cells.length };
+}
+
+// teams: [{ pin, name, avatarUrl, members }]; PINs already on the tab are skipped
+async function appendTeamRows(teams, sheetName = process.env.TEAMS_SHEET_NAME || "Teams") {
+  const rows = readRows(sheetName);
+  if (!rows.length) throw new Error(`${sheetName} has no header row`);
+
+  const iPin = normalizeHeaders(rows[0]).indexOf("pin");
+  const known = new Set(rows.slice(1).map(r => String(r[iPin] || "").trim()));
+  const added = teams.filter(t => !known.has(t.pin)).map(t => teamRowFor(rows[0], t));
+  if (!added.length) return { appended: 0 };
+
+  // Teams.json is rewritten as CSV, same as the scores
+  writeRowsAtomic(csvPath(sheetName), [...rows, ...added]);
+  return { appended: added.length };
+}
+
+// Raw log rows (header + data) for reports; no log file yet = no rows
+function readLogRows(sheetName) {
+  const file = csvPath(sheetName);
+  return fs.existsSync(file) ? parseCsv(fs.readFileSync(file, "utf8")) : [];
+}
+
+async function readQuestionLog() {
+  return readLogRows(process.env.QUESTION_LOG_SHEET_NAME || "QuestionLog");
+}
+
+async function readAnswerLog() {
+  return readLogRows(process.env.ANSWER_LOG_SHEET_NAME || "AnswerLog");
+}
+
+async function appendQuestionRows(rows) {
+  const sheetName = process.env.QUESTION_LOG_SHEET_NAME || "QuestionLog";
+  return appendRows(sheetName, QUESTION_LOG_HEADERS, rows);
+}
+
+async function appendAnswerRows(rows) {
+  const sheetName = process.env.ANSWER_LOG_SHEET_NAME || "AnswerLog";
+  return appendRows(sheetName, ANSWER_LOG_HEADERS, rows);
+}
+
+module.exports = {
+  loadTeamsFromSheet,
+  loadQuestionsFromSheet,
+  loadSettingsFromSheet,
+  updateScoresToSheet,
+  appendTeamRows,
+  appendQuestionRows,
+  appendAnswerRows,
+  readQuestionLog,
+  readAnswerLog,
+  parseCsv,
+  toCsv,
+};
@@ -0,0 +1,373 @@
+// game_report.js
+// Post-game analytics for one gameId, built from the QuestionLog + AnswerLog tabs.
+// - Per question: % correct, answer distribution, median response time,
+//   and a flag when a wrong option was the most common pick
+// - Per team: accuracy, average speed, points by question and rank after each question
+// Served by server.js as HTML (/reports/:gameId) and CSV (/reports/:gameId/questions.csv, teams.csv).
+
+const { readQuestionLog, readAnswerLog } = require("./store");
+const { rowsToObjects } = require("./sheet_rows");
+const { toCsv } = require("./file_store");
+
+const CHOICE_TYPES = ["mc", "tf", "multi"];
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+function median(nums) {
+  if (!nums.length) return null;
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : Math.round((s[mid - 1] + s[mid]) / 2);
+}
+
+function mean(nums) {
+  return nums.length ? Math.round(nums.reduce((a, b) => a + b, 0) / nums.length) : null;
+}
+
+function toNumberOrNull(x) {
+  const s = String(x ?? "").trim();
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Standard competition ranking (1, 2, 2, 4) by score, highest first
+// entries: [{ pin, score, tieBreak? }]; tieBreak = order of sudden-death wins (lower = better)
+function rankByScore(entries) {
+  const tb = (e) => (e.tieBreak == null ? Number.MAX_SAFE_INTEGER : e.tieBreak);
+  const compare = (a, b) => (b.score - a.score) || (tb(a) - tb(b));
+  const sorted = [...entries].sort(compare);
+  const ranks = new Map();
+  sorted.forEach((e, i) => {
+    const prev = sorted[i - 1];
+    ranks.set(e.pin, prev && compare(prev, e) === 0 ? ranks.get(prev.pin) : i + 1);
+  });
+  return ranks;
+}
+
+// ------------------- LOAD -------------------
+// [{ gameId, room, startedAt, questions }] newest first
+async function listGames() {
+  const byGame = new Map();
+  for (const r of rowsToObjects(await readQuestionLog())) {
+    if (!r.gameId) continue;
+    const g = byGame.get(r.gameId) || { gameId: r.gameId, room: r.room || "", startedAt: r.timestamp, qNumbers: new Set() };
+    if (r.timestamp < g.startedAt) g.startedAt = r.timestamp;
+    if (Number.isFinite(Number(r.qNumber))) { // not TB1, TB2… (sudden death)
+      if (r.status === "skipped") g.qNumbers.delete(r.qNumber);
+      else g.qNumbers.add(r.qNumber);
+    }
+    byGame.set(r.gameId, g);
+  }
+  return [...byGame.values()]
+    .map(({ qNumbers, ...g }) => ({ ...g, questions: qNumbers.size }))
+    .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+// null if the logs have nothing for this gameId
+async function buildGameReport(gameId) {
+  const qRows = rowsToObjects(await readQuestionLog()).filter(r => r.gameId === gameId);
+  const aRows = rowsToObjects(await readAnswerLog()).filter(r => r.gameId === gameId);
+  if (!qRows.length && !aRows.length) return null;
+  return summarize(gameId, qRows, aRows);
+}
+
+// ------------------- SUMMARY -------------------
+function summarize(gameId, qRows, aRows) {
+  const qNumbers = [...new Set([...qRows, ...aRows].map(r => Number(r.qNumber)).filter(Number.isFinite))]
+    .sort((a, b) => a - b);
+
+  // a question can be logged more than once (re-run); the latest run counts
+  const latest = (rows) => rows.reduce((best, r) => (!best || r.timestamp >= best.timestamp ? r : best), null);
+
+  // a question the host skipped (latest QuestionLog row "skipped") was not played
+  const played = qNumbers.filter(n => {
+    const qRow = latest(qRows.filter(r => Number(r.qNumber) === n));
+    return !qRow || qRow.status !== "skipped";
+  });
+
+  const questions = played.map(n => {
+    const qRow = latest(qRows.filter(r => Number(r.qNumber) === n));
+    const forQ = aRows.filter(r => Number(r.qNumber) === n);
+    const runId = qRow ? qRow.questionRunId : (latest(forQ) || {}).questionRunId;
+    // a regrade / undo adds newer rows for the same run; each team's latest row counts
+    const byPin = new Map();
+    for (const r of forQ.filter(r => !runId || r.questionRunId === runId)) {
+      const prev = byPin.get(r.pin);
+      if (!prev || r.timestamp >= prev.timestamp) byPin.set(r.pin, r);
+    }
+    return summarizeQuestion(n, qRow, [...byPin.values()]);
+  });
+
+  // sudden-death wins (AnswerLog tieBreak = "won place N"), first win ranks highest
+  const tieBreakWins = aRows.filter(r => String(r.tieBreak || "").startsWith("won"))
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+    .map(r => r.pin);
+
+  const teams = summarizeTeams(questions, tieBreakWins);
+  const room = (qRows[0] && qRows[0].room) || (aRows[0] && aRows[0].room) || "";
+  return { gameId, room, generatedAt: new Date().toISOString(), questions, teams };
+}
+
+function summarizeQuestion(qNumber, qRow, answers) {
+  qRow = qRow || {};
+  const type = qRow.type || "mc";
+  const correct = String(qRow.correct || "");
+  const choices = LETTERS.map(l => qRow[l] || "");
+
+  const answered = answers.filter(a => a.answer !== "");
+  const nCorrect = answers.filter(a => a.isCorrect === "TRUE").length;
+  const nPartial = answers.filter(a => a.isCorrect === "PARTIAL").length;
+  const times = answered.map(a => toNumberOrNull(a.timeMs)).filter(n => n != null);
+
+  // choice questions: how many teams picked each letter; others: how many gave each answer
+  const distribution = [];
+  if (CHOICE_TYPES.includes(type)) {
+    const correctSet = correct.split(",").map(s => s.trim()).filter(Boolean);
+    LETTERS.forEach((letter, i) => {
+      const count = answered.filter(a => a.answer.split(",").includes(letter)).length;
+      if (!choices[i] && !count) return;
+      distribution.push({ answer: letter, label: choices[i], count, correct: correctSet.includes(letter) });
+    });
+  } else {
+    const counts = new Map();
+    for (const a of answered) counts.set(a.answer, (counts.get(a.answer) || 0) + 1);
+    for (const [answer, count] of [...counts.entries()].sort((a, b) => b[1] - a[1])) {
+      distribution.push({ answer, label: "", count, correct: answer === correct });
+    }
+  }
+  const noAnswer = answers.length - answered.length;
+
+  // a wrong option beat every correct one
+  let flag = null;
+  if (CHOICE_TYPES.includes(type) && answered.length) {
+    const top = Math.max(...distribution.map(d => d.count));
+    const topCorrect = Math.max(0, ...distribution.filter(d => d.correct).map(d => d.count));
+    const misleading = distribution.find(d => !d.correct && d.count === top);
+    if (top > 0 && misleading && top > topCorrect) {
+      flag = `Most teams picked ${misleading.answer} (wrong)`;
+    }
+  }
+
+  return {
+    qNumber,
+    questionRunId: qRow.questionRunId || (answers[0] && answers[0].questionRunId) || "",
+    text: qRow.question || "",
+    round: qRow.round || "",
+    type,
+    correct,
+    teams: answers.length,
+    answered: answered.length,
+    noAnswer,
+    correctCount: nCorrect,
+    partialCount: nPartial,
+    percentCorrect: answers.length ? Math.round((nCorrect / answers.length) * 100) : 0,
+    medianTimeMs: median(times),
+    distribution,
+    flag,
+    answers,
+  };
+}
+
+function summarizeTeams(questions, tieBreakWins = []) {
+  const teams = new Map();
+
+  for (const q of questions) {
+    for (const a of q.answers) {
+      const t = teams.get(a.pin) || { pin: a.pin, name: a.teamName, perQuestion: {} };
+      t.name = a.teamName || t.name;
+      t.perQuestion[q.qNumber] = {
+        answered: a.answer !== "",
+        isCorrect: a.isCorrect,
+        timeMs: toNumberOrNull(a.timeMs),
+        points: toNumberOrNull(a.points) || 0,
+        totalScore: toNumberOrNull(a.totalScore) || 0,
+        timestamp: a.timestamp,
+      };
+      teams.set(a.pin, t);
+    }
+  }
+
+  // rank after each question from the running totals in AnswerLog
+  for (const q of questions) {
+    const entries = [...teams.values()]
+      .filter(t => t.perQuestion[q.qNumber])
+      .map(t => ({ pin: t.pin, score: t.perQuestion[q.qNumber].totalScore }));
+    const ranks = rankByScore(entries);
+    for (const [pin, rank] of ranks.entries()) teams.get(pin).perQuestion[q.qNumber].rank = rank;
+  }
+
+  const out = [...teams.values()].map(t => {
+    const rows = questions.map(q => t.perQuestion[q.qNumber]).filter(Boolean);
+    const answered = rows.filter(r => r.answered);
+    // newest row: a regrade of an earlier question carries the corrected total
+    const last = rows.reduce((best, r) => (!best || r.timestamp >= best.timestamp ? r : best), null);
+    return {
+      pin: t.pin,
+      name: t.name,
+      questions: rows.length,
+      answered: answered.length,
+      correct: rows.filter(r => r.isCorrect === "TRUE").length,
+      accuracy: rows.length ? Math.round((rows.filter(r => r.isCorrect === "TRUE").length / rows.length) * 100) : 0,
+      avgTimeMs: mean(answered.map(r => r.timeMs).filter(n => n != null)),
+      finalScore: last ? last.totalScore : 0,
+      pointsByQuestion: questions.map(q => (t.perQuestion[q.qNumber] ? t.perQuestion[q.qNumber].points : null)),
+      rankByQuestion: questions.map(q => (t.perQuestion[q.qNumber] ? t.perQuestion[q.qNumber].rank : null)),
+    };
+  });
+
+  const finalRanks = rankByScore(out.map(t => {
+    const won = tieBreakWins.indexOf(t.pin);
+    return { pin: t.pin, score: t.finalScore, tieBreak: won === -1 ? null : won };
+  }));
+  for (const t of out) t.rank = finalRanks.get(t.pin);
+  return out.sort((a, b) => a.rank - b.rank || String(a.name).localeCompare(String(b.name)));
+}
+
+// ------------------- CSV -------------------
+function questionsCsv(report) {
+  const header = ["qNumber", "round", "question", "type", "correct", "teams", "answered", "correctCount", "partialCount",
+    "percentCorrect", "medianTimeMs", "distribution", "flag"];
+  const rows = report.questions.map(q => [
+    q.qNumber, q.round, q.text, q.type, q.correct, q.teams, q.answered, q.correctCount, q.partialCount,
+    q.percentCorrect, q.medianTimeMs ?? "", q.distribution.map(d => `${d.answer}:${d.count}`).join(" "), q.flag || ""
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+function teamsCsv(report) {
+  const qs = report.questions.map(q => q.qNumber);
+  const header = ["rank", "pin", "name", "finalScore", "questions", "answered", "correct", "accuracy", "avgTimeMs",
+    ...qs.map(n => `Q${n} points`), ...qs.map(n => `rank after Q${n}`)];
+  const rows = report.teams.map(t => [
+    t.rank, t.pin, t.name, t.finalScore, t.questions, t.answered, t.correct, t.accuracy, t.avgTimeMs ?? "",
+    ...t.pointsByQuestion.map(p => p ?? ""), ...t.rankByQuestion.map(r => r ?? "")
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+// ------------------- HTML -------------------
+function esc(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+function fmtSec(ms) {
+  return ms == null ? "—" : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${esc(title)}</title>
+  <link rel="stylesheet" href="/styles.css" />
+  <style>
+    table{ width:100%; border-collapse: collapse; font-size: 14px; }
+    th, td{ text-align:left; padding: 6px 8px; border-bottom: 1px solid var(--border); vertical-align: top; }
+    .bar{ display:inline-block; height: 10px; border-radius: 5px; background: rgba(255,255,255,0.35); vertical-align: middle; }
+    .bar.correct{ background: rgba(80, 255, 160, 0.65); }
+    .flag{ color: #ffb86b; font-weight: 700; }
+  </style>
+</head>
+<body>
+  <div class="container">
+${body}
+  </div>
+</body>
+</html>`;
+}
+
+function renderGameList(games, query) {
+  const rows = games.map(g => `
+      <tr><td><a href="/reports/${encodeURIComponent(g.gameId)}${query}">${esc(g.gameId)}</a></td>
+      <td>${esc(g.room)}</td><td>${esc(g.startedAt)}</td><td>${g.questions}</td></tr>`).join("");
+  return page("Game reports", `
+    <div class="header"><div class="title">Game reports</div></div>
+    <div class="card">
+      ${games.length ? `<table><tr><th>Game</th><th>Room</th><th>Started</th><th>Questions</th></tr>${rows}</table>` : "No games logged yet."}
+    </div>`);
+}
+
+// query: "?token=..." carried over to the CSV links
+function renderReportHtml(report, query = "") {
+  const base = `/reports/${encodeURIComponent(report.gameId)}`;
+
+  const qRows = report.questions.map(q => {
+    const max = Math.max(1, ...q.distribution.map(d => d.count));
+    const dist = q.distribution.map(d => `
+        <div>${esc(d.answer)}${d.label ? ` <span class="small">${esc(d.label)}</span>` : ""}
+          <span class="bar${d.correct ? " correct" : ""}" style="width:${Math.round((d.count / max) * 120)}px;"></span> ${d.count}</div>`).join("");
+    return `
+      <tr>
+        <td>Q${q.qNumber}</td>
+        <td>${esc(q.text)}<div class="small">${q.round ? `${esc(q.round)} • ` : ""}${esc(q.type)} • answer: ${esc(q.correct)}</div>${q.flag ? `<div class="flag">⚠️ ${esc(q.flag)}</div>` : ""}</td>
+        <td>${q.percentCorrect}%<div class="small">${q.correctCount}/${q.teams}${q.partialCount ? ` (+${q.partialCount} partial)` : ""}</div></td>
+        <td>${dist}${q.noAnswer ? `<div class="small">no answer: ${q.noAnswer}</div>` : ""}</td>
+        <td>${fmtSec(q.medianTimeMs)}</td>
+      </tr>`;
+  }).join("");
+
+  const qHead = report.questions.map(q => `<th>Q${q.qNumber}</th>`).join("");
+  const tRows = report.teams.map(t => `
+      <tr>
+        <td>${t.rank}</td>
+        <td>${esc(t.name)} <span class="small">${esc(t.pin)}</span></td>
+        <td><b>${t.finalScore}</b></td>
+        <td>${t.accuracy}%<div class="small">${t.correct}/${t.questions}</div></td>
+        <td>${fmtSec(t.avgTimeMs)}</td>
+        ${t.pointsByQuestion.map((p, i) => `<td>${p ?? "—"}<div class="small">#${t.rankByQuestion[i] ?? "—"}</div></td>`).join("")}
+      </tr>`).join("");
+
+  return page(`Report ${report.gameId}`, `
+    <div class="header">
+      <div class="title">Game report</div>
+      <div class="badges">
+        <div class="badge">Game: ${esc(report.gameId)}</div>
+        <div class="badge">Room: ${esc(report.room || "—")}</div>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="row">
+        <h3 style="margin:0;">Questions</h3>
+        <div class="spacer"></div>
+        <a href="${base}/questions.csv${query}">Download CSV</a>
+      </div>
+      <table>
+        <tr><th>#</th><th>Question</th><th>Correct</th><th>Answers</th><th>Median time</th></tr>
+        ${qRows}
+      </table>
+    </div>
+
+    <div class="card" style="margin-top:14px;">
+      <div class="row">
+        <h3 style="margin:0;">Teams</h3>
+        <div class="spacer"></div>
+        <a href="${base}/teams.csv${query}">Download CSV</a>
+      </div>
+      <div class="small">Per question: points, then rank after that question.</div>
+      <div style="overflow-x:auto;">
+      <table>
+        <tr><th>Rank</th><th>Team</th><th>Score</th><th>Accuracy</th><th>Avg time</th>${qHead}</tr>
+        ${tRows}
+      </table>
+      </div>
+    </div>
+
+    <div class="small" style="margin-top:10px;">Generated ${esc(report.generatedAt)} from QuestionLog / AnswerLog.</div>`);
+}
+
+module.exports = {
+  listGames,
+  buildGameReport,
+  questionsCsv,
+  teamsCsv,
+  renderGameList,
+  renderReportHtml,
+};
@@ -0,0 +1,84 @@
+// host_auth.js
+// Host login: a secret (HOST_SECRET / COHOST_SECRET) is exchanged for a session token.
+// - host:   full control (start/reset/scores/kick/...)
+// - cohost: read-only moderator; sees the host panel and handles takeover approvals
+// Without HOST_SECRET nobody can log in, unless HOST_OPEN_LOGIN=true opens host login to any
+// secret — fine for a laptop at home, not for a venue.
+// Sessions expire after HOST_SESSION_TTL_HOURS (default 12); logging out ends one right away.
+
+const crypto = require("crypto");
+
+const SESSION_TTL_MS = (Number(process.env.HOST_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// token -> { role, createdAt }
+const sessions = new Map();
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+function secretMatches(given, expected) {
+  if (!expected) return false;
+  return crypto.timingSafeEqual(sha256(given), sha256(expected));
+}
+
+// explicit opt-in: a deploy that forgets HOST_SECRET stays closed
+function isOpenLogin() {
+  return !process.env.HOST_SECRET && String(process.env.HOST_OPEN_LOGIN || "").trim().toLowerCase() === "true";
+}
+
+// false = no HOST_SECRET and no opt-in: every login is refused
+function isLoginConfigured() {
+  return !!process.env.HOST_SECRET || isOpenLogin();
+}
+
+// Returns "host" | "cohost" | null
+function roleForSecret(secret) {
+  const s = String(secret ?? "");
+  if (isOpenLogin()) return "host";
+  if (secretMatches(s, process.env.HOST_SECRET)) return "host";
+  if (secretMatches(s, process.env.COHOST_SECRET)) return "cohost";
+  return null;
+}
+
+function isExpired(session, now = Date.now()) {
+  return now - session.createdAt > SESSION_TTL_MS;
+}
+
+function dropExpiredSessions() {
+  const now = Date.now();
+  for (const [token, session] of sessions) {
+    if (isExpired(session, now)) sessions.delete(token);
+  }
+}
+
+function createSession(role) {
+  dropExpiredSessions();
+  const token = crypto.randomBytes(24).toString("hex");
+  sessions.set(token, { role, createdAt: Date.now() });
+  return token;
+}
+
+function getSession(token) {
+  if (!token) return null;
+  const session = sessions.get(String(token));
+  if (!session) return null;
+  if (isExpired(session)) {
+    sessions.delete(String(token));
+    return null;
+  }
+  return session;
+}
+
+function endSession(token) {
+  sessions.delete(String(token || ""));
+}
+
+module.exports = {
+  isOpenLogin,
+  isLoginConfigured,
+  roleForSecret,
+  createSession,
+  getSession,
+  endSession,
+};
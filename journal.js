@@ -0,0 +1,81 @@
+// journal.js
+// Append-only journal of everything that changes a room's game, to settle disputes after an event
+// and to reproduce bugs (replay.js rebuilds the state timeline from it).
+// - JOURNAL_DIR (default data/journal), one <ROOMCODE>.jsonl per room, one JSON entry per line
+// - JOURNAL=off turns it off (replay.js does, so a replay never writes to the journal it reads)
+// - Writes are synchronous appends: the order in the file is the order the server handled things
+//
+// Entries, t = server time (ms):
+//   open        room opened (or reopened after a restart) with the teams / questions it loaded
+//   game        a new game: its gameId and random seed (see seeded_random.js)
+//   connect     a device connected: socket id, IP, browser
+//   disconnect  a device went away
+//   cmd         a socket command as received: event + args (passwords and tokens removed)
+//   role        a device got the host / co-host role (logins themselves are not replayed)
+//   reload      Teams / Questions reloaded in the lobby, with the new data
+//   tick        the timer ran out and the answer was revealed automatically
+//   autopilot   autopilot took a step: start the clock, reveal, or the host's Next
+//   bots        simulated teams added / removed by the host (bots.js)
+//   registered  a team from open registration was approved, with its new PIN (team_registration.js)
+//   restart     the server came back up and resumed the saved game
+
+const fs = require("fs");
+const path = require("path");
+
+const SECRET_KEYS = ["secret", "token"];
+
+function isJournalOn() {
+  return String(process.env.JOURNAL || "on").toLowerCase() !== "off";
+}
+
+function journalDirPath() {
+  const dir = process.env.JOURNAL_DIR || path.join("data", "journal");
+  return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+function journalPath(roomCode) {
+  return path.join(journalDirPath(), `${roomCode}.jsonl`);
+}
+
+function appendJournal(roomCode, entry) {
+  if (!isJournalOn()) return;
+  try {
+    fs.mkdirSync(journalDirPath(), { recursive: true });
+    fs.appendFileSync(journalPath(roomCode), JSON.stringify({ t: Date.now(), ...entry }) + "\n", "utf8");
+  } catch (err) {
+    console.error(`❌ [${roomCode}] Journal write failed:`, err.message || err);
+  }
+}
+
+// Command args without passwords / tokens (top-level keys of object args)
+function redactArgs(args) {
+  return args.map(a => {
+    if (!a || typeof a !== "object" || Array.isArray(a)) return a;
+    const out = { ...a };
+    for (const k of SECRET_KEYS) if (k in out) out[k] = "";
+    return out;
+  });
+}
+
+// { entries, skipped }; a line cut short by a crash is skipped, not fatal
+function readJournal(file) {
+  const entries = [];
+  let skipped = 0;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+  return { entries, skipped };
+}
+
+module.exports = {
+  isJournalOn,
+  journalPath,
+  appendJournal,
+  redactArgs,
+  readJournal,
+};
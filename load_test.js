@@ -0,0 +1,186 @@
+// load_test.js
+// Load test against a running server: N bot teams (bots.js) join a room and play a few questions
+// while this script drives the game as host, then it reports how long state broadcasts took to
+// reach the team devices.
+//   node load_test.js --teams 60 --questions 5
+//   --url http://localhost:3000   --room MAIN   --secret <host password> (default HOST_SECRET)
+//   --accuracy 0.7   --timing normal:3,1   --drop 0.05   --seed 42
+// The room must be in the lobby. It plays the room's real questions and resets the game at the end:
+// point it at a test server, not at a live event. Latency is only meaningful when this script and
+// the server share a clock (same machine).
+
+require("dotenv").config();
+const { io: connect } = require("socket.io-client");
+const { createFleet, normalizeBotOptions } = require("./bots");
+
+const JOIN_TIMEOUT_MS = 30000;
+const STEP_TIMEOUT_MS = 10000;
+
+function parseArgs(argv) {
+  const opts = {
+    url: `http://localhost:${process.env.PORT || 3000}`,
+    room: "",
+    secret: process.env.HOST_SECRET || "",
+    teams: 50,
+    questions: 5,
+    accuracy: 0.7,
+    timing: "normal:3,1",
+    dropRate: 0.05,
+    seed: undefined
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--url") opts.url = String(argv[++i] || "");
+    else if (a === "--room") opts.room = String(argv[++i] || "");
+    else if (a === "--secret") opts.secret = String(argv[++i] || "");
+    else if (a === "--teams") opts.teams = Number(argv[++i]);
+    else if (a === "--questions") opts.questions = Number(argv[++i]);
+    else if (a === "--accuracy") opts.accuracy = Number(argv[++i]);
+    else if (a === "--timing") opts.timing = String(argv[++i] || "");
+    else if (a === "--drop") opts.dropRate = Number(argv[++i]);
+    else if (a === "--seed") opts.seed = Number(argv[++i]);
+    else opts.bad = a;
+  }
+  return opts;
+}
+
+function waitUntil(check, timeoutMs, what) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const value = check();
+      if (value) {
+        clearInterval(timer);
+        resolve(value);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error(`Timed out waiting for ${what}.`));
+      }
+    }, 50);
+  });
+}
+
+// Host socket that keeps the latest state / hostState
+function hostLogin(url, room, secret) {
+  const socket = connect(url, { query: { room }, transports: ["websocket"], reconnection: false, forceNew: true });
+  const host = { socket, state: null, hostState: null };
+  socket.on("state", s => { host.state = s; });
+  socket.on("hostState", hs => { host.hostState = hs; });
+  socket.on("hostError", msg => console.warn(`⚠️  Server: ${msg}`));
+
+  return new Promise((resolve, reject) => {
+    socket.on("connect_error", err => reject(new Error(`Can't connect to ${url}: ${err.message}`)));
+    socket.on("hostAuthError", msg => reject(new Error(msg)));
+    socket.on("hostAuthed", ({ role }) => {
+      if (role !== "host") return reject(new Error("That password is a co-host login; the load test needs the host."));
+      resolve(host);
+    });
+    socket.emit("hostLogin", { secret, room });
+  });
+}
+
+function emitAndWait(host, event, check, what) {
+  host.socket.emit(event);
+  return waitUntil(() => host.state && check(host.state) && host.state, STEP_TIMEOUT_MS, what);
+}
+
+// One question: start it, wait for the bots (or the clock), reveal, move on
+async function playQuestion(host, pins) {
+  let s = host.state;
+  if (s.phase === "roundIntro" || s.phase === "tiebreak") {
+    s = await emitAndWait(host, "hostNext", x => x.phase === "question", "the question");
+  }
+  if (s.paused) s = await emitAndWait(host, "hostPauseToggle", x => !x.paused || x.phase !== "question", "the clock to start");
+
+  const startedAt = Date.now();
+  const bots = (st) => st.teams.filter(t => pins.has(t.pin));
+  const allLocked = (st) => st.phase !== "question" || bots(st).every(t => t.hasLocked);
+  // the server reveals by itself when time is up
+  const timeLeftMs = s.endsAt ? s.endsAt - s.serverNow : (s.timer || 0) * 1000;
+  s = await waitUntil(() => allLocked(host.state) && host.state, timeLeftMs + STEP_TIMEOUT_MS, "answers");
+  const locked = s.phase === "question" ? bots(s).filter(t => t.hasLocked).length : null;
+  const tookMs = Date.now() - startedAt;
+
+  if (s.phase === "question") s = await emitAndWait(host, "hostReveal", x => x.phase === "revealed", "the reveal");
+  const label = s.tieBreak ? "Sudden death" : `Q${s.qIndex + 1}`;
+  console.log(`  ${label.padEnd(12)} ${locked == null ? "timer ran out" : `${locked}/${pins.size} locked`} after ${(tookMs / 1000).toFixed(1)}s`);
+
+  // leaderboard, round summary ... until the next question or the end
+  while (!["question", "roundIntro", "tiebreak", "finished"].includes(host.state.phase)) {
+    const phase = host.state.phase;
+    await emitAndWait(host, "hostNext", x => x.phase !== phase, `the step after ${phase}`);
+  }
+}
+
+function fmtMs(x) {
+  return x == null ? "-" : `${x}`;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const options = normalizeBotOptions(opts);
+  if (opts.bad || options.error || !(opts.teams >= 1) || !(opts.questions >= 1)) {
+    if (options.error) console.error(`❌ ${options.error}`);
+    console.error("Usage: node load_test.js [--url URL] [--room CODE] [--secret PASSWORD] [--teams N] [--questions N] [--accuracy 0-1] [--timing normal:3,1] [--drop 0-1] [--seed N]");
+    process.exit(2);
+  }
+
+  const host = await hostLogin(opts.url, opts.room, opts.secret);
+  const room = host.state.roomCode;
+  if (host.state.phase !== "lobby") throw new Error(`Room ${room} is in a game (${host.state.phase}). Reset it first.`);
+
+  host.socket.emit("hostAddBots", { count: opts.teams, external: true });
+  const { pins } = await new Promise((resolve, reject) => {
+    host.socket.once("botsAdded", resolve);
+    host.socket.once("hostError", msg => reject(new Error(msg)));
+  });
+
+  const fleet = createFleet({
+    url: opts.url,
+    room,
+    // the host sees the running question with its key
+    answerKey: (q) => {
+      const cur = host.hostState && host.hostState.question;
+      return cur && q && cur.text === q.text ? cur : null;
+    },
+    seed: opts.seed,
+    log: (msg) => console.warn(`🤖 ${msg}`)
+  });
+
+  const joinStarted = Date.now();
+  console.log(`🤖 ${pins.length} bots joining room ${room} on ${opts.url} (seed ${fleet.seed})...`);
+  try {
+    fleet.add(pins, options);
+    await waitUntil(() => fleet.stats().joined === pins.length, JOIN_TIMEOUT_MS, "the bots to join");
+    console.log(`  joined in ${((Date.now() - joinStarted) / 1000).toFixed(1)}s`);
+
+    const pinSet = new Set(pins);
+    await emitAndWait(host, "hostStart", x => x.phase !== "lobby", "the game to start");
+    for (let n = 0; n < opts.questions && host.state.phase !== "finished"; n++) {
+      await playQuestion(host, pinSet);
+    }
+  } finally {
+    const stats = fleet.stats();
+    // the server kicks the bots; wait for the reset so the commands aren't lost on disconnect
+    host.socket.emit("hostRemoveBots");
+    await emitAndWait(host, "hostReset", x => x.phase === "lobby" && !x.teams.some(t => pins.includes(t.pin)), "the reset")
+      .catch(err => console.warn(`⚠️  ${err.message} Remove the bots from the host panel.`));
+    fleet.stop();
+
+    const l = stats.latency;
+    console.log("");
+    console.log(`Bots          ${stats.bots} (${stats.joined} joined at the end)`);
+    console.log(`Answers sent  ${stats.answers}, drop-outs ${stats.drops}, resumed ${stats.resumes}, errors ${stats.errors}`);
+    console.log(`Broadcasts    ${l.count} state updates received`);
+    console.log(`Latency (ms)  p50 ${fmtMs(l.p50)} • p95 ${fmtMs(l.p95)} • p99 ${fmtMs(l.p99)} • max ${fmtMs(l.max)}`);
+    host.socket.disconnect();
+  }
+}
+
+main().then(
+  () => process.exit(0),
+  (err) => {
+    console.error(`❌ ${err.message || err}`);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,38 @@
+// media_files.js
+// Where question media lives on disk. Pages use mediaUrl as-is, so a local URL like
+// "/media/q1.jpg" (or "media/q1.jpg") is served from public/media/q1.jpg.
+
+const fs = require("fs");
+const path = require("path");
+
+const PUBLIC_DIR = path.join(__dirname, "public");
+const MEDIA_DIR = path.join(PUBLIC_DIR, "media");
+
+function isRemoteUrl(url) {
+  return /^(https?:)?\/\//i.test(url) || /^data:/i.test(url);
+}
+
+// Why a mediaUrl won't load, or "" if it's fine / remote (remote URLs aren't fetched)
+function mediaProblem(url) {
+  url = String(url || "").trim();
+  if (!url || isRemoteUrl(url)) return "";
+
+  let rel;
+  try {
+    rel = decodeURIComponent(url.split(/[?#]/)[0]).replace(/^\/+/, "");
+  } catch {
+    return `mediaUrl "${url}" is not a valid URL`;
+  }
+
+  const file = path.resolve(PUBLIC_DIR, rel);
+  if (!file.startsWith(MEDIA_DIR + path.sep)) {
+    return `mediaUrl "${url}" is not under /media/ (put local files in public/media)`;
+  }
+  if (!fs.existsSync(file)) return `media file not found: public/media/${path.relative(MEDIA_DIR, file)}`;
+  return "";
+}
+
+module.exports = {
+  MEDIA_DIR,
+  mediaProblem,
+};
@@ -0,0 +1,108 @@
+// powerups.js
+// Power-ups a team can spend during a game (the server enforces every rule):
+//   fifty    50:50 on the running single-choice question: two wrong options disappear for that team
+//   double   double or nothing on the next question: fully correct = points x2,
+//            anything else = lose the question's full points (profile maxPoints)
+//   time     extra time (POWERUP_EXTRA_SEC, default 10s) on the running question, for that team only
+//
+// Uses per game: POWERUP_LIMITS (default "fifty=1,double=1,time=1"), overridable per team with the
+// fiftyFifty / doubleOrNothing / extraTime columns of the Teams sheet. Not available in sudden death.
+
+const POWERUPS = {
+  fifty: { label: "50:50", column: "fiftyfifty" },
+  double: { label: "Double or nothing", column: "doubleornothing" },
+  time: { label: "Extra time", column: "extratime" },
+};
+
+const EXTRA_TIME_SEC = Math.max(1, Number(process.env.POWERUP_EXTRA_SEC) || 10);
+
+function parseLimits(raw) {
+  const limits = {};
+  for (const part of String(raw || "").split(",")) {
+    const [name, n] = part.split("=").map(x => String(x || "").trim().toLowerCase());
+    if (POWERUPS[name] && Number.isFinite(Number(n))) limits[name] = Math.max(0, Math.trunc(Number(n)));
+  }
+  return limits;
+}
+
+const DEFAULT_LIMITS = { fifty: 1, double: 1, time: 1, ...parseLimits(process.env.POWERUP_LIMITS) };
+
+function isPowerup(name) {
+  return Object.prototype.hasOwnProperty.call(POWERUPS, name);
+}
+
+function powerupLabel(name) {
+  return isPowerup(name) ? POWERUPS[name].label : String(name);
+}
+
+// { fifty: { label, limit, used, left }, ... } for a team; teamLimits come from the Teams sheet
+function powerupStatus(team) {
+  const out = {};
+  for (const [name, p] of Object.entries(POWERUPS)) {
+    const own = team.powerupLimits && team.powerupLimits[name];
+    const limit = own != null ? own : DEFAULT_LIMITS[name];
+    const used = (team.powerupsUsed && team.powerupsUsed[name]) || 0;
+    out[name] = { label: p.label, limit, used, left: Math.max(0, limit - used) };
+  }
+  return out;
+}
+
+/**
+ * Why `name` can't be used right now ("" = it can).
+ *   phase, tieBreak     room state
+ *   hasNextQuestion     a question is still to come (for double)
+ *   q                   the running question (fifty / time)
+ */
+function powerupError(name, team, { phase, tieBreak, hasNextQuestion, q }) {
+  if (!isPowerup(name)) return `Unknown power-up: ${name}`;
+  const label = powerupLabel(name);
+  if (powerupStatus(team)[name].left <= 0) return `No ${label} left.`;
+  if (tieBreak) return "Power-ups can't be used in sudden death.";
+
+  if (name === "double") {
+    if (phase === "question") return `${label} is for the next question; use it before it starts.`;
+    if (!hasNextQuestion || phase === "finished") return "There is no next question.";
+    if (team.doubleArmed) return `${label} is already on for the next question.`;
+    return "";
+  }
+
+  if (phase !== "question" || !q) return `${label} can only be used while a question is running.`;
+  if (team.lockedChoice != null) return "Your answer is already locked.";
+  if ((team.powerupsThisQ || []).includes(name)) return `${label} is already used on this question.`;
+  if (name === "fifty" && ((q.type || "mc") !== "mc" || (q.choices || []).length < 3)) {
+    return `${label} only works on single-choice questions with 3 or more options.`;
+  }
+  return "";
+}
+
+// Two wrong options to hide (one when there are only three)
+function pickHiddenChoices(q, shuffleArray) {
+  const wrong = q.choices.map((_, i) => i).filter(i => i !== q.correctIndex);
+  return shuffleArray(wrong).slice(0, Math.min(2, wrong.length - 1)).sort((a, b) => a - b);
+}
+
+// Adjusts a scoring.js breakdown for double or nothing
+function applyDoubleOrNothing(breakdown, credit, profile) {
+  const out = { ...breakdown, powerup: "double" };
+  if (credit >= 1) {
+    out.multiplier = breakdown.multiplier * 2;
+    out.points = breakdown.points * 2;
+  } else {
+    out.base = 0;
+    out.streakBonus = 0;
+    out.penalty = profile.maxPoints;
+    out.points = -profile.maxPoints;
+  }
+  return out;
+}
+
+module.exports = {
+  POWERUPS,
+  EXTRA_TIME_SEC,
+  isPowerup,
+  powerupLabel,
+  powerupStatus,
+  powerupError,
+  pickHiddenChoices,
+  applyDoubleOrNothing,
+};
@@ -1,5 +1,7 @@
 // public/client.js
-const socket = io();
+// Room code comes from the page URL (?room=CODE); blank = the server's default room
+const ROOM_CODE = (new URLSearchParams(location.search).get("room") || "").trim().toUpperCase();
+const socket = io({ query: { room: ROOM_CODE } });
 
 function $(id) {
   return document.getElementById(id);
@@ -15,7 +17,7 @@ function esc(s) {
 }
 
 function letter(i) {
-  return ["A", "B", "C", "D"][i] || "";
+  return ["A", "B", "C", "D", "E", "F"][i] || "";
 }
 
 function shortUA(ua = "") {
@@ -27,3 +29,106 @@ function fmtTime(ms) {
   if (!ms) return "";
   return new Date(ms).toLocaleTimeString();
 }
+
+// "question (paused) • Round 2/3: Food" / "question • ⚡ Sudden death for place 1"
+function phaseText(s) {
+  const r = s.round;
+  const extra = s.tieBreak ? ` • ⚡ Sudden death for place ${s.tieBreak.place}`
+    : r ? ` • Round ${r.number}/${r.total}: ${r.name}` : "";
+  return s.phase + (s.paused ? " (paused)" : "") + extra;
+}
+
+// Rehearsal games (nothing is written to the sheets) are marked on every screen
+function showRehearsalBanner(s) {
+  let el = $("rehearsalBanner");
+  if (!el) {
+    el = document.createElement("div");
+    el.id = "rehearsalBanner";
+    el.className = "rehearsalBanner";
+    el.textContent = "REHEARSAL — practice game, results are not recorded";
+    document.body.prepend(el);
+  }
+  el.style.display = s.rehearsal ? "" : "none";
+}
+
+// Event branding from the Settings tab (s.branding): theme colours, [data-logo] images, [data-welcome] text
+function applyBranding(s) {
+  const b = s.branding;
+  if (!b) return;
+  const root = document.documentElement.style;
+  for (const [name, value] of Object.entries(b.theme || {})) {
+    if (value) root.setProperty(`--${name}`, value);
+    else root.removeProperty(`--${name}`);
+  }
+  document.querySelectorAll("[data-logo]").forEach(img => {
+    if (b.logoUrl && img.getAttribute("src") !== b.logoUrl) img.src = b.logoUrl;
+    img.style.display = b.logoUrl ? "" : "none";
+  });
+  document.querySelectorAll("[data-welcome]").forEach(el => {
+    el.textContent = b.welcomeText || "";
+    el.style.display = b.welcomeText ? "" : "none";
+  });
+}
+
+// Autopilot: what comes next, counting down to the server's s.autopilot.at ("Leaderboard in 4s")
+let autopilotInterval = null;
+function showAutopilot(el, s) {
+  clearInterval(autopilotInterval);
+  autopilotInterval = null;
+  if (!el) return;
+  const next = s.autopilot;
+  el.style.display = next ? "" : "none";
+  if (!next) return;
+  if (next.at == null) {
+    el.textContent = `⏩ ${next.label}`;
+    return;
+  }
+  const tick = () => { el.textContent = `⏩ ${next.label} in ${Math.max(0, Math.ceil((next.at - serverNow()) / 1000))}s`; };
+  tick();
+  autopilotInterval = setInterval(tick, 250);
+}
+
+// ------------------- CLOCK SYNC -------------------
+// Offset of this device's clock from the server's, taken from the sample with the smallest
+// round trip. Countdowns run to the server's endsAt, so every screen shows the same number.
+let clockOffsetMs = 0;
+let clockSamples = [];
+
+function serverNow() {
+  return Date.now() + clockOffsetMs;
+}
+
+function syncClock() {
+  const sentAt = Date.now();
+  socket.emit("clockSync", (serverTime) => {
+    const rtt = Date.now() - sentAt;
+    clockSamples.push({ rtt, offset: serverTime + rtt / 2 - Date.now() });
+    if (clockSamples.length > 8) clockSamples.shift();
+    clockOffsetMs = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a)).offset;
+  });
+}
+
+socket.on("connect", () => {
+  clockSamples = [];
+  for (let i = 0; i < 5; i++) setTimeout(syncClock, i * 200);
+});
+setInterval(syncClock, 30000);
+
+// the server measures our round trip with these
+socket.on("clockPing", (_, ack) => { if (typeof ack === "function") ack(); });
+
+// Shows the seconds left in every element of `els`; ticks while the question runs (s.endsAt)
+let timerInterval = null;
+function showTimer(els, s) {
+  clearInterval(timerInterval);
+  timerInterval = null;
+  const set = (text) => els.forEach(el => { if (el) el.textContent = text; });
+
+  if (s.endsAt == null) {
+    set(s.timer == null ? "--" : String(s.timer));
+    return;
+  }
+  const tick = () => set(String(Math.max(0, Math.ceil((s.endsAt - serverNow()) / 1000))));
+  tick();
+  timerInterval = setInterval(tick, 250);
+}
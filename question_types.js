@@ -0,0 +1,325 @@
+// question_types.js
+// Question types declared in the Questions sheet `type` column (blank = mc).
+//   mc       single choice, 2–6 options (A–F)           correct: "B"
+//   tf       true / false (A/B optional, default True/False) correct: "TRUE" / "FALSE" / "A" / "B"
+//   multi    pick every correct option                   correct: "A,C"   (partial column => partial credit)
+//   numeric  type a number, closest team(s) win          correct: "1945"
+//   order    put the options in the right sequence       correct: "C,A,B,D" (partial column => partial credit)
+//
+// Answers: mc/tf -> choice index, multi -> sorted index array, numeric -> number, order -> index array.
+// Every grader returns a credit between 0 and 1 per team; the server turns credit into points.
+// A regraded mc/tf question may accept several options (acceptedIndexes), see regradeKey().
+
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+const TYPES = ["mc", "tf", "multi", "numeric", "order"];
+
+const TYPE_ALIASES = {
+  "": "mc", "mc": "mc", "choice": "mc", "single": "mc",
+  "tf": "tf", "truefalse": "tf", "true/false": "tf", "bool": "tf",
+  "multi": "multi", "multiselect": "multi", "multiple": "multi",
+  "numeric": "numeric", "number": "numeric", "closest": "numeric",
+  "order": "order", "ordering": "order", "sequence": "order",
+};
+
+// Fields that give the answer away; never sent to teams/projector before reveal
+const ANSWER_KEY_FIELDS = ["correctIndex", "acceptedIndexes", "correctIndexes", "correctValue", "correctOrder"];
+
+function normalizeType(x) {
+  const s = String(x ?? "").trim().toLowerCase().replace(/[\s_-]/g, "");
+  return Object.prototype.hasOwnProperty.call(TYPE_ALIASES, s) ? TYPE_ALIASES[s] : null;
+}
+
+function letterIndex(x) {
+  return LETTERS.indexOf(String(x ?? "").trim().toUpperCase());
+}
+
+function parseLetterList(x) {
+  const parts = String(x ?? "").split(/[\s,;>]+/).filter(Boolean);
+  const idx = parts.map(letterIndex);
+  return idx.some(i => i === -1) ? null : idx;
+}
+
+function parseNumber(x) {
+  const s = String(x ?? "").trim().replace(/\s/g, "").replace(",", ".");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Builds the type-specific part of a question from a sheet row.
+ * choices: the non-blank A–F cells in order (blank cells in between are an error).
+ * Returns { fields } to merge into the question, or { error } describing why the row is unusable.
+ */
+function buildAnswerKey(type, choiceCells, correctRaw, partial) {
+  const lastFilled = choiceCells.reduce((last, c, i) => (c ? i : last), -1);
+  const choices = choiceCells.slice(0, lastFilled + 1);
+  if (choices.some(c => !c)) return { error: "choices must be filled from A without gaps" };
+
+  if (type === "mc") {
+    if (choices.length < 2) return { error: "needs at least 2 choices (A, B)" };
+    const i = letterIndex(correctRaw);
+    if (i === -1 || i >= choices.length) return { error: `correct must be one of ${LETTERS.slice(0, choices.length).join(", ")}` };
+    return { fields: { choices, correctIndex: i } };
+  }
+
+  if (type === "tf") {
+    const tfChoices = choices.length >= 2 ? choices.slice(0, 2) : ["True", "False"];
+    const s = String(correctRaw ?? "").trim().toUpperCase();
+    let i = -1;
+    if (["A", "TRUE", "T", "YES", "Y", "ĐÚNG", "DUNG", "1"].includes(s)) i = 0;
+    if (["B", "FALSE", "F", "NO", "N", "SAI", "0"].includes(s)) i = 1;
+    if (i === -1) return { error: "correct must be TRUE/FALSE (or A/B)" };
+    return { fields: { choices: tfChoices, correctIndex: i } };
+  }
+
+  if (type === "multi") {
+    if (choices.length < 2) return { error: "needs at least 2 choices (A, B)" };
+    const list = parseLetterList(correctRaw);
+    if (!list || !list.length) return { error: "correct must list letters, e.g. A,C" };
+    if (list.some(i => i >= choices.length)) return { error: "correct lists a letter with no choice" };
+    return { fields: { choices, correctIndexes: [...new Set(list)].sort((a, b) => a - b), partial: !!partial } };
+  }
+
+  if (type === "numeric") {
+    const n = parseNumber(correctRaw);
+    if (n == null) return { error: "correct must be a number" };
+    return { fields: { choices: [], correctValue: n } };
+  }
+
+  if (type === "order") {
+    if (choices.length < 2) return { error: "needs at least 2 items to order (A, B)" };
+    const list = parseLetterList(correctRaw);
+    const isPermutation = list && list.length === choices.length &&
+      new Set(list).size === list.length && list.every(i => i < choices.length);
+    if (!isPermutation) return { error: `correct must list every item once, e.g. ${LETTERS.slice(0, choices.length).reverse().join(",")}` };
+    return { fields: { choices, correctOrder: list, partial: !!partial } };
+  }
+
+  return { error: `unknown type` };
+}
+
+// ------------------- SHUFFLE -------------------
+// Shuffles the options and remaps the answer key. tf keeps True/False order; numeric has no options.
+// order items are always shuffled, otherwise the sheet order would give the answer away.
+function shuffleQuestionChoices(q, shuffleArray, enabled) {
+  const type = q.type || "mc";
+  if (type === "tf" || type === "numeric") return q;
+  if (!enabled && type !== "order") return q;
+
+  const pairs = q.choices.map((c, idx) => ({ c, origIdx: idx }));
+  shuffleArray(pairs);
+  const newIndexOf = (orig) => pairs.findIndex(p => p.origIdx === orig);
+
+  const out = { ...q, choices: pairs.map(p => p.c) };
+  if (q.correctIndex != null) out.correctIndex = newIndexOf(q.correctIndex);
+  if (q.acceptedIndexes) out.acceptedIndexes = q.acceptedIndexes.map(newIndexOf).sort((a, b) => a - b);
+  if (q.correctIndexes) out.correctIndexes = q.correctIndexes.map(newIndexOf).sort((a, b) => a - b);
+  if (q.correctOrder) out.correctOrder = q.correctOrder.map(newIndexOf);
+  return out;
+}
+
+// ------------------- ANSWERS -------------------
+// Turns what a device sent into a canonical answer, or null if it isn't valid for this question.
+function normalizeAnswer(q, raw) {
+  const type = q.type || "mc";
+  const n = (q.choices || []).length;
+  const isIdx = (i) => Number.isInteger(i) && i >= 0 && i < n;
+
+  if (type === "mc" || type === "tf") {
+    const i = Number(raw);
+    return isIdx(i) ? i : null;
+  }
+  if (type === "multi") {
+    if (!Array.isArray(raw)) return null;
+    const list = [...new Set(raw.map(Number))].sort((a, b) => a - b);
+    return (list.length && list.every(isIdx)) ? list : null;
+  }
+  if (type === "numeric") {
+    return parseNumber(raw);
+  }
+  if (type === "order") {
+    if (!Array.isArray(raw)) return null;
+    const list = raw.map(Number);
+    return (list.length === n && new Set(list).size === n && list.every(isIdx)) ? list : null;
+  }
+  return null;
+}
+
+function sameList(a, b) {
+  return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((x, i) => x === b[i]);
+}
+
+/**
+ * Grades one question for all teams at once (numeric "closest wins" needs every answer).
+ * answers: Map<pin, answer|null>. Returns Map<pin, credit 0..1>.
+ */
+function gradeAnswers(q, answers) {
+  const type = q.type || "mc";
+  const credits = new Map();
+
+  if (type === "numeric") {
+    let best = Infinity;
+    for (const a of answers.values()) {
+      if (a != null) best = Math.min(best, Math.abs(a - q.correctValue));
+    }
+    for (const [pin, a] of answers.entries()) {
+      credits.set(pin, (a != null && Math.abs(a - q.correctValue) === best) ? 1 : 0);
+    }
+    return credits;
+  }
+
+  for (const [pin, a] of answers.entries()) {
+    credits.set(pin, a == null ? 0 : creditFor(q, a));
+  }
+  return credits;
+}
+
+function creditFor(q, a) {
+  const type = q.type || "mc";
+
+  if (type === "mc" || type === "tf") return correctChoices(q).includes(a) ? 1 : 0;
+
+  if (type === "multi") {
+    if (sameList(a, q.correctIndexes)) return 1;
+    if (!q.partial) return 0;
+    // each right pick counts, each wrong pick cancels one; never below 0
+    const right = a.filter(i => q.correctIndexes.includes(i)).length;
+    const wrong = a.length - right;
+    return Math.max(0, (right - wrong) / q.correctIndexes.length);
+  }
+
+  if (type === "order") {
+    if (sameList(a, q.correctOrder)) return 1;
+    if (!q.partial) return 0;
+    // share of items in the right position
+    return a.filter((x, i) => x === q.correctOrder[i]).length / q.correctOrder.length;
+  }
+
+  return 0;
+}
+
+// Options that count as right: every accepted one for mc/tf, the full set for multi
+function correctChoices(q) {
+  const type = q.type || "mc";
+  if (type === "multi") return q.correctIndexes || [];
+  return q.acceptedIndexes || [q.correctIndex];
+}
+
+// ------------------- REGRADE -------------------
+/**
+ * New answer key for a question that was already played, typed by the host in the sheet's format.
+ * mc/tf also take several options ("A,C"): any of them is then fully correct.
+ * Letters refer to the options as they were shown in the game (after shuffling).
+ * Returns { fields } (answer key fields only, see setAnswerKey) or { error }.
+ */
+function regradeKey(q, correctRaw) {
+  const type = q.type || "mc";
+  const choices = q.choices || [];
+
+  if (type === "mc" || type === "tf") {
+    const parts = String(correctRaw ?? "").split(/[\s,;/]+/).filter(Boolean);
+    if (!parts.length) return { error: "type the correct option(s), e.g. B or A,C" };
+    const list = [];
+    for (const part of parts) {
+      const key = buildAnswerKey(type, choices, part, false);
+      if (key.error) return key;
+      if (!list.includes(key.fields.correctIndex)) list.push(key.fields.correctIndex);
+    }
+    list.sort((a, b) => a - b);
+    return { fields: { correctIndex: list[0], ...(list.length > 1 ? { acceptedIndexes: list } : {}) } };
+  }
+
+  const key = buildAnswerKey(type, choices, correctRaw, q.partial);
+  if (key.error) return key;
+  const fields = {};
+  for (const k of ANSWER_KEY_FIELDS) if (key.fields[k] !== undefined) fields[k] = key.fields[k];
+  return { fields };
+}
+
+// Replaces the question's answer key (in place)
+function setAnswerKey(q, fields) {
+  for (const k of ANSWER_KEY_FIELDS) delete q[k];
+  Object.assign(q, fields);
+  return q;
+}
+
+// ------------------- DISPLAY / LOGS -------------------
+function formatAnswer(q, a) {
+  if (a == null) return "";
+  const type = (q && q.type) || "mc";
+  if (type === "numeric") return String(a);
+  if (Array.isArray(a)) return a.map(i => LETTERS[i] || "?").join(",");
+  return LETTERS[a] || "";
+}
+
+function formatCorrect(q) {
+  if (!q) return "";
+  const type = q.type || "mc";
+  if (type === "multi") return formatAnswer(q, q.correctIndexes);
+  if (type === "numeric") return formatAnswer(q, q.correctValue);
+  if (type === "order") return formatAnswer(q, q.correctOrder);
+  if (q.acceptedIndexes) return formatAnswer(q, q.acceptedIndexes);
+  return formatAnswer(q, q.correctIndex);
+}
+
+/**
+ * How many teams gave each answer, for the chart shown on reveal.
+ *   answers  Map pin -> normalized answer (null = no answer)
+ *   credits  Map pin -> credit from gradeAnswers
+ * Choice types (mc/tf/multi): one entry per option, a multi pick counts for every option in it.
+ * numeric/order: one entry per distinct answer, most given first.
+ * Returns [{ answer, label, count, correct }]
+ */
+function answerDistribution(q, answers, credits) {
+  if (!q) return [];
+  const type = q.type || "mc";
+
+  if (type === "mc" || type === "tf" || type === "multi") {
+    const correctSet = correctChoices(q);
+    const picked = (a, i) => (Array.isArray(a) ? a.includes(i) : a === i);
+    const all = [...answers.values()].filter(a => a != null);
+    return (q.choices || []).map((label, i) => ({
+      answer: LETTERS[i],
+      label: String(label ?? ""),
+      count: all.filter(a => picked(a, i)).length,
+      correct: correctSet.includes(i),
+    }));
+  }
+
+  const byAnswer = new Map();
+  for (const [pin, a] of answers.entries()) {
+    if (a == null) continue;
+    const key = formatAnswer(q, a);
+    const entry = byAnswer.get(key) || { answer: key, label: "", count: 0, correct: false };
+    entry.count += 1;
+    if ((credits.get(pin) || 0) >= 1) entry.correct = true;
+    byAnswer.set(key, entry);
+  }
+  return [...byAnswer.values()].sort((a, b) => b.count - a.count);
+}
+
+// The question without its answer key
+function publicQuestion(q) {
+  if (!q) return null;
+  const out = { ...q };
+  for (const k of ANSWER_KEY_FIELDS) delete out[k];
+  return out;
+}
+
+module.exports = {
+  LETTERS,
+  TYPES,
+  normalizeType,
+  buildAnswerKey,
+  shuffleQuestionChoices,
+  normalizeAnswer,
+  gradeAnswers,
+  correctChoices,
+  regradeKey,
+  setAnswerKey,
+  formatAnswer,
+  formatCorrect,
+  answerDistribution,
+  publicQuestion,
+};
@@ -0,0 +1,38 @@
+// rehearsal_log.js
+// Throwaway log for rehearsal games (host panel "Rehearsal"): the rows a real game sends to
+// QuestionLog / AnswerLog, the Teams score column and new Teams rows are appended here instead, so the sheets
+// stay clean. Safe to delete at any time.
+// - REHEARSAL_DIR (default data/rehearsal), one <ROOMCODE>-<gameId>.jsonl per rehearsal game
+// - One JSON line per write: { t, kind: "question" | "answer", key, row }, { t, kind: "scores", pinToScore }
+//   or { t, kind: "team", team } (a team approved from open registration)
+
+const fs = require("fs");
+const path = require("path");
+
+function rehearsalDirPath() {
+  const dir = process.env.REHEARSAL_DIR || path.join("data", "rehearsal");
+  return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+function rehearsalPath(roomCode, gameId) {
+  return path.join(rehearsalDirPath(), `${roomCode}-${gameId}.jsonl`);
+}
+
+// entries: [{ kind, key?, row?, pinToScore?, team? }]; returns how many were written
+function appendRehearsal(roomCode, gameId, entries) {
+  if (!entries.length) return 0;
+  const t = Date.now();
+  try {
+    fs.mkdirSync(rehearsalDirPath(), { recursive: true });
+    fs.appendFileSync(rehearsalPath(roomCode, gameId), entries.map(e => JSON.stringify({ t, ...e }) + "\n").join(""), "utf8");
+    return entries.length;
+  } catch (err) {
+    console.error(`❌ [${roomCode}] Rehearsal log write failed:`, err.message || err);
+    return 0;
+  }
+}
+
+module.exports = {
+  rehearsalPath,
+  appendRehearsal,
+};
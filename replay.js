@@ -0,0 +1,375 @@
+// replay.js
+// Rebuilds a room's game from its journal (journal.js), entry by entry, with the server's own handlers.
+//   node replay.js data/journal/MAIN.jsonl                  timeline: who did what and what it changed
+//   node replay.js data/journal/MAIN.jsonl --pin 2222       only what concerns one team (disputes)
+//   node replay.js data/journal/MAIN.jsonl --until 2026-02-14T20:15:00Z   stop there and show the state
+//   node replay.js data/journal/MAIN.jsonl --json           one JSON line per entry with the full state after it
+//   --verbose also prints the server's own log lines
+//
+// The clock is set to each entry's time and shuffles use the journaled seed, so question order,
+// lock times and scores come out as they were. Resume tokens are secrets and are not reproduced.
+// Nothing is written to the store, saved games, rehearsal logs or the journal (they go to a temp dir,
+// removed at the end).
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+process.env.JOURNAL = "off";
+process.env.STORE_BACKEND = "file";
+process.env.OFFLINE_DATA_DIR = tmpDir;
+process.env.STATE_DIR = path.join(tmpDir, "state");
+process.env.WRITE_QUEUE_FILE = path.join(tmpDir, "write_queue.json");
+process.env.REHEARSAL_DIR = path.join(tmpDir, "rehearsal");
+
+const { readJournal } = require("./journal");
+const { cancelGameStateSaves } = require("./state_persist");
+const { saveWriteQueue } = require("./write_queue");
+const { formatAnswer } = require("./question_types");
+const {
+  io,
+  rooms,
+  onConnection,
+  makeRoom,
+  claimHostRole,
+  applyReload,
+  removeBotTeams,
+  tickRoom,
+  runAutopilotStep,
+  serializeState,
+  restoreState,
+  getRunElapsedMs,
+  getCurrentQuestionObj,
+} = require("./server");
+
+// logins replay through their "role" entry, reloads through their "reload" entry
+const SKIPPED_EVENTS = new Set(["hostLogin", "registerHost", "hostReloadApply"]);
+// replies every device gets all the time
+const QUIET_REPLIES = new Set(["state", "hostState", "writeQueueStatus", "hostAuthed", "clockPing", "joined"]);
+
+// ------------------- CLOCK -------------------
+let clock = 0;
+Date.now = () => clock;
+
+// ------------------- REPLAY SOCKETS -------------------
+// Stands in for a device: the server's handlers attach to it, its replies are collected
+const sockets = new Map();
+
+function makeReplaySocket(id, { room = "", ip = "", userAgent = "" } = {}) {
+  const handlers = new Map();
+  const socket = {
+    id,
+    data: {},
+    handshake: { headers: { "user-agent": userAgent }, address: ip, query: { room } },
+    connected: true,
+    replies: [],
+    on(event, fn) { handlers.set(event, fn); return socket; },
+    join() {},
+    leave() {},
+    emit(event, ...args) { socket.replies.push({ event, args }); return true; },
+    disconnect() {
+      if (!socket.connected) return socket;
+      socket.connected = false;
+      io.sockets.sockets.delete(id);
+      sockets.delete(id);
+      const fn = handlers.get("disconnect");
+      if (fn) fn("server namespace disconnect");
+      return socket;
+    },
+    handle(event, args) {
+      const fn = handlers.get(event);
+      return fn ? fn(...args) : undefined;
+    }
+  };
+  return socket;
+}
+
+function connect(id, info) {
+  const socket = makeReplaySocket(id, info);
+  sockets.set(id, socket);
+  io.sockets.sockets.set(id, socket);
+  onConnection(socket);
+  return socket;
+}
+
+// a device first seen in this room's journal (it connected to another room) starts unattached
+function socketFor(id) {
+  if (sockets.has(id)) return sockets.get(id);
+  const socket = connect(id, { room: "-" });
+  socket.replies = [];
+  return socket;
+}
+
+// server restart: every device is gone without a disconnect
+function dropAllSockets() {
+  for (const socket of sockets.values()) socket.connected = false;
+  sockets.clear();
+  io.sockets.sockets.clear();
+}
+
+// ------------------- ENTRIES -------------------
+function setGame(room, { gameId, seed }) {
+  if (gameId) room.state.gameId = gameId;
+  if (Number.isInteger(seed)) {
+    room.state.seed = seed;
+    room.state.rngState = seed;
+  }
+}
+
+function applyEntry(room, entry) {
+  switch (entry.type) {
+    case "open": {
+      let r = room;
+      if (!r) {
+        r = makeRoom(entry.room);
+        rooms.set(r.code, r);
+      } else {
+        // opened again = the server restarted; a "restart" entry follows if the game was resumed
+        r.savedBeforeRestart = serializeState(r);
+        dropAllSockets();
+        r.state = makeRoom(entry.room).state;
+        r.pendingTakeovers = new Map();
+      }
+      Object.assign(r, entry.data);
+      setGame(r, entry);
+      return r;
+    }
+    case "restart": {
+      const restored = room.savedBeforeRestart && restoreState(room, room.savedBeforeRestart);
+      if (restored) room.state = restored;
+      if (room.state.gameId !== entry.gameId) {
+        console.warn(`⚠️  Server resumed game ${entry.gameId}, the replay had ${room.state.gameId}; the timeline may differ from here.`);
+      }
+      return room;
+    }
+    case "game":
+      setGame(room, entry);
+      return room;
+    case "connect":
+      connect(entry.socket, entry);
+      return room;
+    case "disconnect":
+      if (sockets.has(entry.socket)) sockets.get(entry.socket).disconnect();
+      return room;
+    case "role":
+      claimHostRole(room, socketFor(entry.socket), "", entry.role);
+      return room;
+    case "reload":
+      room.pendingReload = { ...entry.data, diff: entry.diff, report: room.dataReport };
+      applyReload(room);
+      return room;
+    case "tick":
+      tickRoom(room);
+      return room;
+    case "autopilot":
+      runAutopilotStep(room, entry.action);
+      return room;
+    case "bots":
+      if (entry.added) {
+        room.teamRegistry.push(...entry.added);
+        room.botSeq += entry.added.length;
+      }
+      if (entry.removed) removeBotTeams(room, entry.removed);
+      return room;
+    case "registered":
+      room.teamRegistry.push(entry.team);
+      return room;
+    case "cmd": {
+      if (SKIPPED_EVENTS.has(entry.event)) return room;
+      const socket = socketFor(entry.socket);
+      let args = entry.args || [];
+      if (entry.event === "lockAnswer") socket.data.rttSamples = entry.rttMs == null ? [] : [entry.rttMs];
+      if (entry.event === "resumeTeam") {
+        const team = room.state.teams.get(String((args[0] || {}).pin || ""));
+        args = [{ ...args[0], token: entry.tokenValid && team ? team.resumeToken : "" }];
+      }
+      socket.handle(entry.event, args);
+      return room;
+    }
+    default:
+      console.warn(`⚠️  Unknown journal entry type: ${entry.type}`);
+      return room;
+  }
+}
+
+// ------------------- TIMELINE -------------------
+function fmtTime(ms) {
+  return new Date(ms).toISOString().slice(11, 23);
+}
+
+function fmtSec(ms) {
+  return ms == null ? "-" : `${(ms / 1000).toFixed(2)}s`;
+}
+
+// The parts of a room the timeline compares before / after each entry
+function snapshot(room) {
+  const { state } = room;
+  const q = getCurrentQuestionObj(room);
+  const teams = {};
+  for (const t of state.teams.values()) {
+    teams[t.pin] = {
+      name: t.name,
+      score: t.score,
+      online: !!t.socketId,
+      locked: t.lockedChoice == null ? "" : formatAnswer(q, t.lockedChoice),
+      lockedAt: t.lockedAtRunMs
+    };
+  }
+  return {
+    gameId: state.gameId,
+    phase: state.phase,
+    q: state.qIndex >= 0 ? `Q${state.qIndex + 1}` : "",
+    running: state.phase === "question" && !state.paused,
+    elapsedMs: getRunElapsedMs(room),
+    timeSec: state.timeSec,
+    teams
+  };
+}
+
+function changes(before, after) {
+  const out = [];
+  if (before.gameId !== after.gameId) out.push(`new game ${after.gameId}`);
+  if (before.phase !== after.phase || before.q !== after.q) out.push(`${after.phase}${after.q ? " " + after.q : ""}`);
+  if (before.running !== after.running) out.push(after.running ? `clock running (${fmtSec(after.elapsedMs)} used)` : `clock stopped at ${fmtSec(after.elapsedMs)}`);
+  for (const [pin, t] of Object.entries(after.teams)) {
+    const b = before.teams[pin];
+    if (!b) {
+      out.push(`${t.name} joined`);
+      continue;
+    }
+    if (b.online !== t.online) out.push(`${t.name} ${t.online ? "online" : "offline"}`);
+    if (!b.locked && t.locked) out.push(`${t.name} locked ${t.locked} at ${fmtSec(t.lockedAt)} of ${after.timeSec}s`);
+    if (b.score !== t.score) out.push(`${t.name} score ${b.score} -> ${t.score}`);
+  }
+  for (const [pin, b] of Object.entries(before.teams)) {
+    if (!after.teams[pin]) out.push(`${b.name} removed`);
+  }
+  return out;
+}
+
+// Why an answer left no trace (the server ignores bad locks silently)
+function lockIgnoredReason(before, pin) {
+  const t = before.teams[pin];
+  if (!t) return "device not joined to a team";
+  if (before.phase !== "question") return `phase was ${before.phase}`;
+  if (!before.running) return "clock was paused";
+  if (t.locked) return `already locked ${t.locked}`;
+  return `late or not a valid answer (${fmtSec(before.elapsedMs)} of ${before.timeSec}s used)`;
+}
+
+function whoOf(room, socket, before) {
+  if (!socket) return "server";
+  const { state } = room;
+  if (socket.id === state.hostId) return "host";
+  if (state.cohostIds.has(socket.id)) return "co-host";
+  if (state.projectorIds.has(socket.id)) return "projector";
+  const pin = socket.data.teamPin;
+  if (pin && (before.teams[pin] || state.teams.get(pin))) return `${(before.teams[pin] || state.teams.get(pin)).name} (${pin})`;
+  return `device ${socket.id.slice(0, 6)}`;
+}
+
+function describe(entry) {
+  if (entry.type === "cmd") {
+    const args = (entry.args || []).map(a => JSON.stringify(a)).join(" ");
+    return `${entry.event}${args ? " " + args : ""}`;
+  }
+  if (entry.type === "connect") return `connect ${entry.ip || ""} ${entry.userAgent ? "(" + entry.userAgent.slice(0, 40) + ")" : ""}`.trim();
+  if (entry.type === "role") return `became ${entry.role}`;
+  if (entry.type === "tick") return "timer ran out";
+  if (entry.type === "autopilot") return `autopilot ${entry.action}`;
+  if (entry.type === "bots") return entry.added ? `added ${entry.added.length} bots` : `removed ${entry.removed.length} bots`;
+  if (entry.type === "registered") return `registered ${entry.team.name} (${entry.team.pin})`;
+  if (entry.type === "game") return `new game ${entry.gameId}`;
+  if (entry.type === "open") return `room ${entry.room.code} opened (${entry.data.teamRegistry.length} teams, ${entry.data.questionBank.length} questions)`;
+  return entry.type;
+}
+
+// ------------------- CLI -------------------
+function parseArgs(argv) {
+  const opts = { file: "", pin: "", until: null, json: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--pin") opts.pin = String(argv[++i] || "");
+    else if (a === "--until") opts.until = Date.parse(argv[++i] || "");
+    else if (a === "--json") opts.json = true;
+    else if (a === "--verbose") opts.verbose = true;
+    else opts.file = a;
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.file) {
+    console.error("Usage: node replay.js <journal.jsonl> [--pin PIN] [--until ISO-time] [--json] [--verbose]");
+    process.exit(2);
+  }
+  if (opts.until != null && Number.isNaN(opts.until)) {
+    console.error("--until needs a date/time, e.g. 2026-02-14T20:15:00Z");
+    process.exit(2);
+  }
+
+  const { entries, skipped } = readJournal(opts.file);
+  if (skipped) console.warn(`⚠️  ${skipped} unreadable journal line(s) skipped.`);
+  if (!entries.length || entries[0].type !== "open") {
+    console.error("❌ The journal has to start with the room's \"open\" entry.");
+    process.exit(1);
+  }
+
+  const log = console.log;
+  if (!opts.verbose) console.log = () => {};
+  const out = (line) => log(line);
+
+  let room = null;
+  const startedAt = entries[0].t;
+  for (const entry of entries) {
+    if (opts.until != null && entry.t > opts.until) break;
+    clock = entry.t;
+
+    const socket = entry.socket ? sockets.get(entry.socket) : null;
+    const before = room ? snapshot(room) : { teams: {} };
+    // a disconnect / kick loses the role, so look at who it was first
+    const whoBefore = room && socket ? whoOf(room, socket, before) : "";
+    if (socket) socket.replies = [];
+    room = applyEntry(room, entry);
+    const after = snapshot(room);
+    const actor = socket || (entry.socket ? sockets.get(entry.socket) : null);
+
+    if (opts.json) {
+      const state = serializeState(room);
+      for (const t of state.teams) delete t.resumeToken;
+      out(JSON.stringify({ entry, replies: actor ? actor.replies.filter(r => !QUIET_REPLIES.has(r.event)) : [], state }));
+      continue;
+    }
+
+    const whoAfter = whoOf(room, actor, before);
+    const who = whoAfter.startsWith("device") && whoBefore ? whoBefore : whoAfter;
+    const pin = actor && actor.data.teamPin;
+    const changed = changes(before, after);
+    if (opts.pin && pin !== opts.pin && !changed.some(c => after.teams[opts.pin] && c.startsWith(after.teams[opts.pin].name))) continue;
+
+    const replies = actor ? actor.replies.filter(r => !QUIET_REPLIES.has(r.event)).map(r => `⇠ ${r.event} ${JSON.stringify(r.args[0] ?? "")}`) : [];
+    let result = changed.join("; ");
+    if (!result && entry.type === "cmd" && entry.event === "lockAnswer") result = `ignored: ${lockIgnoredReason(before, pin)}`;
+    const rel = `+${((entry.t - startedAt) / 1000).toFixed(1)}s`;
+    out(`${fmtTime(entry.t)} ${rel.padStart(9)}  ${who.padEnd(18)} ${describe(entry)}${result ? "  → " + result : ""}${replies.length ? "  " + replies.join(" ") : ""}`);
+  }
+
+  if (!opts.json) {
+    const s = snapshot(room);
+    out("");
+    out(`Game ${s.gameId}: ${s.phase}${s.q ? " " + s.q : ""}`);
+    for (const t of Object.values(s.teams).sort((a, b) => b.score - a.score)) {
+      out(`  ${t.name.padEnd(20)} ${String(t.score).padStart(6)}${t.locked ? `  (locked ${t.locked} at ${fmtSec(t.lockedAt)})` : ""}`);
+    }
+  }
+
+  console.log = log;
+  // background saves still pending would recreate the temp dir after it is removed
+  cancelGameStateSaves();
+  saveWriteQueue();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+main();
@@ -0,0 +1,64 @@
+// rounds.js
+// Themed rounds from the round / category columns of the Questions sheet.
+// - Rounds play in the order they first appear in the sheet; shuffling happens inside a round only
+// - A blank round cell continues the round of the row above (see sheet_rows.js)
+// - The intro slide text comes from the roundIntro column (first filled cell of the round)
+// - A sheet without round names is a single unnamed round: no intro / summary phases then
+
+// [{ name, questions }] in order of first appearance
+function groupByRound(questions) {
+  const groups = [];
+  const byName = new Map();
+  for (const q of questions) {
+    const name = q.round || "";
+    if (!byName.has(name)) {
+      const g = { name, questions: [] };
+      byName.set(name, g);
+      groups.push(g);
+    }
+    byName.get(name).questions.push(q);
+  }
+  return groups;
+}
+
+// Flat game order: round by round, each round shuffled on its own when asked
+function orderByRound(questions, shuffle, shuffleArray) {
+  return groupByRound(questions).flatMap(g => (shuffle ? shuffleArray(g.questions) : g.questions));
+}
+
+// Round table for a built game: [{ name, intro, categories, start, count }]
+// start = index of the round's first question in gameQuestions
+function buildRounds(gameQuestions) {
+  const rounds = [];
+  let start = 0;
+  for (const g of groupByRound(gameQuestions || [])) {
+    const intro = (g.questions.find(q => q.roundIntro) || {}).roundIntro || "";
+    const categories = [...new Set(g.questions.map(q => q.category).filter(Boolean))];
+    rounds.push({ name: g.name, intro, categories, start, count: g.questions.length });
+    start += g.questions.length;
+  }
+  return rounds;
+}
+
+function hasRounds(rounds) {
+  return Array.isArray(rounds) && (rounds.length > 1 || (rounds.length === 1 && !!rounds[0].name));
+}
+
+function roundIndexOf(rounds, qIndex) {
+  if (!Array.isArray(rounds)) return -1;
+  return rounds.findIndex(r => qIndex >= r.start && qIndex < r.start + r.count);
+}
+
+function roundLabel(rounds, index) {
+  const r = rounds && rounds[index];
+  if (!r) return "";
+  return r.name || `Round ${index + 1}`;
+}
+
+module.exports = {
+  orderByRound,
+  buildRounds,
+  hasRounds,
+  roundIndexOf,
+  roundLabel,
+};
@@ -0,0 +1,164 @@
+// scoring.js
+// Scoring profiles. The host picks one per game; a question can switch profile or override
+// single values from the Questions sheet (scoring, points, graceSec, double, penalty columns).
+//
+// Profile fields:
+//   maxPoints        points for a correct answer inside the grace window
+//   graceSec         seconds of full points
+//   decay            "linear"       -> -decayPerSec for every whole second after the grace window
+//                    "proportional" -> slides from maxPoints down to minPoints at the end of the timer
+//                    "none"         -> flat: every correct answer gets maxPoints
+//   decayPerSec      used by "linear"
+//   minPoints        floor for a correct answer
+//   multiplier       x2 on double-points questions (applies to speed points + streak bonus)
+//   wrongPenalty     points taken away for a wrong answer (no answer = no penalty)
+//   streakBonus      extra points per consecutive correct answer after the first
+//   streakBonusMax   cap on the streak bonus
+//
+// Extra profiles (or changes to the built-in ones) can be given as JSON in SCORING_PROFILES, e.g.
+//   SCORING_PROFILES={"final":{"maxPoints":50,"graceSec":2,"decay":"proportional"}}
+
+const BASE_PROFILE = {
+  maxPoints: 20,
+  graceSec: 4,
+  decay: "linear",
+  decayPerSec: 1,
+  minPoints: 0,
+  multiplier: 1,
+  wrongPenalty: 0,
+  streakBonus: 0,
+  streakBonusMax: 10,
+};
+
+const BUILTIN_PROFILES = {
+  classic: {},                                                     // 20 pts, 4s full, -1/s
+  flat: { decay: "none" },                                         // 20 pts for any correct answer
+  speed: { maxPoints: 100, graceSec: 1, decay: "proportional", minPoints: 10 },
+  strict: { wrongPenalty: 5 },                                     // classic + wrong answers cost 5
+  streak: { streakBonus: 2, streakBonusMax: 10 },                  // classic + streak bonus
+};
+
+const DECAYS = ["linear", "proportional", "none"];
+
+function loadProfiles() {
+  const profiles = {};
+  for (const [name, p] of Object.entries(BUILTIN_PROFILES)) profiles[name] = { ...BASE_PROFILE, ...p };
+
+  const raw = String(process.env.SCORING_PROFILES || "").trim();
+  if (!raw) return profiles;
+
+  try {
+    const extra = JSON.parse(raw);
+    for (const [name, p] of Object.entries(extra || {})) {
+      const key = String(name).trim().toLowerCase();
+      profiles[key] = sanitizeProfile({ ...(profiles[key] || BASE_PROFILE), ...p });
+    }
+  } catch (err) {
+    console.error("❌ SCORING_PROFILES is not valid JSON, using the built-in profiles:", err.message || err);
+  }
+  return profiles;
+}
+
+function num(x, fallback) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function sanitizeProfile(p) {
+  return {
+    maxPoints: Math.max(0, num(p.maxPoints, BASE_PROFILE.maxPoints)),
+    graceSec: Math.max(0, num(p.graceSec, BASE_PROFILE.graceSec)),
+    decay: DECAYS.includes(p.decay) ? p.decay : BASE_PROFILE.decay,
+    decayPerSec: Math.max(0, num(p.decayPerSec, BASE_PROFILE.decayPerSec)),
+    minPoints: Math.max(0, num(p.minPoints, BASE_PROFILE.minPoints)),
+    multiplier: Math.max(0, num(p.multiplier, BASE_PROFILE.multiplier)),
+    wrongPenalty: Math.max(0, num(p.wrongPenalty, BASE_PROFILE.wrongPenalty)),
+    streakBonus: Math.max(0, num(p.streakBonus, BASE_PROFILE.streakBonus)),
+    streakBonusMax: Math.max(0, num(p.streakBonusMax, BASE_PROFILE.streakBonusMax)),
+  };
+}
+
+const PROFILES = loadProfiles();
+const DEFAULT_PROFILE = isProfile(process.env.SCORING_PROFILE) ? normalizeProfileName(process.env.SCORING_PROFILE) : "classic";
+
+function normalizeProfileName(name) {
+  return String(name ?? "").trim().toLowerCase();
+}
+
+function isProfile(name) {
+  return Object.prototype.hasOwnProperty.call(PROFILES, normalizeProfileName(name));
+}
+
+function profileNames() {
+  return Object.keys(PROFILES);
+}
+
+/**
+ * The rules for one question: game profile, or the question's own profile, plus its overrides.
+ * q.scoring = { profile?, maxPoints?, graceSec?, multiplier?, wrongPenalty? } (from the sheet)
+ */
+function resolveProfile(gameProfile, q) {
+  const overrides = (q && q.scoring) || {};
+  const name = isProfile(overrides.profile) ? normalizeProfileName(overrides.profile)
+    : isProfile(gameProfile) ? normalizeProfileName(gameProfile)
+    : DEFAULT_PROFILE;
+
+  const { profile, ...values } = overrides;
+  return { name, ...sanitizeProfile({ ...PROFILES[name], ...values }) };
+}
+
+// Points for a fully correct answer locked `elapsedSec` into a `timeSec` timer
+function speedPoints(p, elapsedSec, timeSec) {
+  if (p.decay === "none" || elapsedSec <= p.graceSec) return p.maxPoints;
+
+  if (p.decay === "proportional") {
+    const span = Math.max(1, timeSec - p.graceSec);
+    const left = Math.max(0, 1 - (elapsedSec - p.graceSec) / span);
+    return Math.max(p.minPoints, Math.round(p.minPoints + (p.maxPoints - p.minPoints) * left));
+  }
+
+  // linear: whole seconds late beyond the grace window
+  const secondsLate = Math.max(0, Math.ceil(elapsedSec - p.graceSec));
+  return Math.max(p.minPoints, p.maxPoints - secondsLate * p.decayPerSec);
+}
+
+/**
+ * Scores one team's answer.
+ *   credit        0..1 from question_types.gradeAnswers
+ *   answered      whether the team locked anything
+ *   streak        consecutive fully correct answers before this one
+ * Returns the breakdown logged to AnswerLog:
+ *   { profile, base, multiplier, streakBonus, penalty, points, streak }
+ */
+function scoreAnswer(p, { credit, answered, lockedAtRunMs, timeSec, streak }) {
+  timeSec = Number.isFinite(timeSec) ? Math.max(1, Math.round(timeSec)) : 20;
+  const elapsedSec = Number.isFinite(lockedAtRunMs) ? (lockedAtRunMs / 1000) : timeSec;
+
+  const out = { profile: p.name, base: 0, multiplier: p.multiplier, streakBonus: 0, penalty: 0, points: 0, streak: 0 };
+
+  if (credit <= 0) {
+    out.penalty = answered ? p.wrongPenalty : 0;
+    out.points = -out.penalty;
+    return out;
+  }
+
+  out.base = Math.round(speedPoints(p, elapsedSec, timeSec) * credit);
+
+  // only fully correct answers build a streak; partial credit ends it
+  if (credit >= 1) {
+    out.streak = (streak || 0) + 1;
+    out.streakBonus = Math.min(p.streakBonusMax, p.streakBonus * (out.streak - 1));
+  }
+
+  out.points = Math.round((out.base + out.streakBonus) * p.multiplier);
+  return out;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  isProfile,
+  normalizeProfileName,
+  profileNames,
+  resolveProfile,
+  scoreAnswer,
+};
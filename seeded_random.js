@@ -0,0 +1,24 @@
+// seeded_random.js
+// Reproducible randomness for a game: every shuffle draws from a seeded generator (mulberry32)
+// whose position lives in the game state (rngState), so it is saved / resumed with the game and a
+// replay from the journal (replay.js) makes the same draws. Not for secrets: resume tokens and host
+// sessions keep using crypto.
+
+const crypto = require("crypto");
+
+function makeSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+// Next number in [0, 1) from holder.rngState (advanced in place)
+function nextRandom(holder) {
+  let t = (holder.rngState = (holder.rngState + 0x6D2B79F5) | 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+module.exports = {
+  makeSeed,
+  nextRandom,
+};
@@ -1,26 +1,93 @@
 // server.js (FINAL + single-device login + host kick + host-approved takeover)
 // - Loads teams from Teams sheet
 // - Loads questions from Questions sheet (teacher editable)
-// - Runs game: lobby -> question (paused/live) -> revealed -> finished
+// - Store backend is Google Sheets or offline files (STORE_BACKEND, see store.js)
+// - Runs game: lobby -> [roundIntro] -> question (paused/live) -> revealed -> leaderboard -> [roundSummary] -> [tiebreak] -> finished
 // - Logs QuestionLog (one row per question run)
 // - Logs AnswerLog (one row per team per question)
 // - Updates Teams.score after each question
 // - Enforces one device per team pin
+// - Keeps team progress by PIN across disconnects; devices resume with a stored token
 // - Allows host to kick and approve takeover requests
+// - Host logs in with a secret (host_auth.js); co-hosts can moderate but not control the game
+// - Saves game state on every change and resumes it after a restart (state_persist.js)
+// - Runs several rooms at once; each room has its own code, questions tab, teams and game state
+// - Question types: single choice, true/false, multi-select, numeric (closest wins), ordering (question_types.js)
+// - Scoring profiles per game, overridable per question (scoring.js); AnswerLog records the breakdown
+// - All store writes go through a durable, batched, retrying queue (write_queue.js)
+// - Host can reload Teams/Questions in the lobby after previewing the diff (socket or HTTP)
+// - Rejected/modified sheet rows are reported to the host panel (data_check.js, also a CLI)
+// - Post-game analytics per question / team as HTML + CSV (game_report.js, /reports)
+// - Themed rounds from the round/category columns: round intro + round summary phases (rounds.js)
+// - Ties for podium places go to sudden death with questions from the TieBreakers tab (tiebreak.js)
+// - Live "teams answered" counter; answer distribution + fastest correct team on reveal (counts only)
+// - Clock sync: authoritative endsAt for every countdown, answer times compensated for latency (clock_sync.js)
+// - Power-ups per team (50:50, double or nothing, extra time) with per-game limits (powerups.js)
+// - Host can regrade a revealed question with a corrected answer key, or undo the last reveal
+// - Every state-changing command goes to a per-room journal (journal.js); shuffles use a seeded
+//   generator (seeded_random.js) so replay.js can rebuild the game's state timeline
+// - Host can add simulated bot teams for rehearsals / load tests (bots.js, load_test.js)
+// - Rehearsal mode: the full game, but sheet writes go to a throwaway local log (rehearsal_log.js);
+//   the host can preview any question on the projector from the lobby
+// - Host navigation: jump to a question, skip, restart the current one, reorder the remaining ones
+// - Autopilot: questions start, reveal and move on by themselves on the host's timings
+// - Event settings and branding (title, question time defaults, colours, logo, welcome text) from
+//   the Settings tab (settings.js), read at boot and on reload
+// - Open registration: devices sign up a new team in the lobby, the host approves it and the team
+//   gets a generated PIN that is appended to the Teams tab (team_registration.js)
 
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
+const crypto = require("crypto");
 require("dotenv").config();
 
+const { STORE_NAME } = require("./store");
+const { checkRoomData } = require("./data_check");
 const {
-  loadTeamsFromSheet,
-  loadQuestionsFromSheet,
-  updateScoresToSheet,
-  appendQuestionRow,
-  appendAnswerRows,
-} = require("./sheets_store");
+  startWriteQueue,
+  enqueueQuestionRow,
+  enqueueAnswerRows,
+  enqueueScores,
+  enqueueTeamRow,
+  getQueueStatus,
+  flushWriteQueue,
+  saveWriteQueue,
+} = require("./write_queue");
+const { listGames, buildGameReport, questionsCsv, teamsCsv, renderGameList, renderReportHtml } = require("./game_report");
+const { saveGameState, queueGameStateSave, flushGameStateSaves, loadGameStates } = require("./state_persist");
+const { isOpenLogin, isLoginConfigured, roleForSecret, createSession, getSession, endSession } = require("./host_auth");
+const { diffTeams, diffQuestions, diffSettings, hasChanges } = require("./data_diff");
+const { DEFAULT_SETTINGS, brandingForClient } = require("./settings");
+const {
+  shuffleQuestionChoices,
+  normalizeAnswer,
+  gradeAnswers,
+  regradeKey,
+  setAnswerKey,
+  formatAnswer,
+  formatCorrect,
+  answerDistribution,
+  publicQuestion,
+} = require("./question_types");
+const { DEFAULT_PROFILE, isProfile, normalizeProfileName, profileNames, resolveProfile, scoreAnswer } = require("./scoring");
+const { orderByRound, buildRounds, hasRounds, roundIndexOf, roundLabel } = require("./rounds");
+const { standings, findPodiumTie, fastestCorrect } = require("./tiebreak");
+const { REVEAL_GRACE_MS, startClockPings, rttOf, latencyCompensationMs } = require("./clock_sync");
+const {
+  EXTRA_TIME_SEC,
+  powerupLabel,
+  powerupStatus,
+  powerupError,
+  pickHiddenChoices,
+  applyDoubleOrNothing,
+} = require("./powerups");
+const { appendJournal, redactArgs } = require("./journal");
+const { makeSeed, nextRandom } = require("./seeded_random");
+const { normalizeBotOptions, createFleet } = require("./bots");
+const { rehearsalPath, appendRehearsal } = require("./rehearsal_log");
+const { MAX_PENDING, normalizeRegistration, sameName, generatePin, saveAvatar } = require("./team_registration");
 
 const app = express();
 const server = http.createServer(app);
@@ -28,38 +95,36 @@ const io = new Server(server);
 
 app.use(express.static(path.join(__dirname, "public")));
 
-const GAME_TITLE = "Đố vui Tết 2026";
-
 function makeGameId() {
   return `${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
 }
 
-// ------------------- DATA LOADED FROM SHEETS -------------------
-let TEAM_REGISTRY = [];   // [{pin,name,avatarUrl}]
-let QUESTION_BANK = [];   // [{qId,text,choices[],correctIndex,timeSec,mediaType?,mediaUrl?}]
+function makeResumeToken() {
+  return crypto.randomBytes(16).toString("hex");
+}
 
 // ------------------- HELPERS -------------------
 function cloneDeep(obj) { return JSON.parse(JSON.stringify(obj)); }
-function shuffleArray(arr) {
+function shuffleArray(arr, random = Math.random) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
 }
-function shuffleChoicesForQuestion(q) {
-  const qCopy = cloneDeep(q);
-  const pairs = qCopy.choices.map((c, idx) => ({ c, origIdx: idx }));
-  shuffleArray(pairs);
-  qCopy.choices = pairs.map(p => p.c);
-  qCopy.correctIndex = pairs.findIndex(p => p.origIdx === q.correctIndex);
-  return qCopy;
+// Shuffles with the game's seeded generator, so a replay shuffles the same way
+function roomShuffle(room) {
+  return (arr) => shuffleArray(arr, () => nextRandom(room.state));
 }
-function buildGameQuestions({ shuffleQuestions, shuffleChoices }) {
-  let qlist = cloneDeep(QUESTION_BANK);
-  if (shuffleChoices) qlist = qlist.map(q => shuffleChoicesForQuestion(q));
-  if (shuffleQuestions) shuffleArray(qlist);
-  return qlist;
+// ordering questions are always shuffled (see question_types.js)
+function shuffleChoicesForQuestion(room, q, enabled) {
+  return shuffleQuestionChoices(cloneDeep(q), roomShuffle(room), enabled);
+}
+function buildGameQuestions(room, { shuffleQuestions, shuffleChoices }) {
+  let qlist = cloneDeep(room.questionBank);
+  qlist = qlist.map(q => shuffleChoicesForQuestion(room, q, shuffleChoices));
+  // questions never move to another round
+  return orderByRound(qlist, shuffleQuestions, roomShuffle(room));
 }
 function safeChoice(q, i) {
   return (q && q.choices && q.choices[i] != null) ? String(q.choices[i]) : "";
@@ -72,88 +137,344 @@ function getClientIp(socket) {
 function getUserAgent(socket) {
   return socket.handshake.headers["user-agent"] || "";
 }
-// 0 if wrong. If correct: 20 points if answered within first 4 seconds,
-// then -1 point for each second later (based on whole seconds late).
-function computeQuestionScore(isCorrect, lockedAtRunMs, timeSec) {
-  if (!isCorrect) return 0;
 
-  timeSec = Number.isFinite(timeSec) ? Math.max(1, Math.round(timeSec)) : 20;
-  const elapsedSec = Number.isFinite(lockedAtRunMs) ? (lockedAtRunMs / 1000) : timeSec;
+// ------------------- ROOMS -------------------
+/**
+ * rooms: Map<code, room>
+ * room = {
+ *   code, questionsSheet, teamsSheet,   // sheet tabs (or offline files) this room reads/writes
+ *   tieBreakSheet,                      // tab with the sudden-death question pool
+ *   settingsSheet, settings,            // event settings tab and what was read from it (settings.js)
+ *   teamRegistry,                       // [{pin,name,avatarUrl,members}] loaded from teamsSheet
+ *   questionBank,                       // [{qId,type,text,choices[],correctIndex|correctIndexes|correctValue|correctOrder,timeSec,mediaType?,mediaUrl?}]
+ *   tieBreakBank,                       // same shape as questionBank, from tieBreakSheet
+ *   state,                              // game state, see resetState()
+ *   pendingTakeovers                    // Map<pin, { requesterId, requestedAt, ip, userAgent }>
+ *   pendingRegistrations                // Map<id, { id, requesterId, name, members, avatar, requestedAt, ip, userAgent }>
+ * }
+ * requesterId is the socket.id of the device asking to take over that PIN / to register a team.
+ * Sockets remember their room in socket.data.roomCode and listen on roomChannel(room).
+ */
+const rooms = new Map();
+
+function normalizeRoomCode(code) {
+  return String(code || "").trim().toUpperCase().replace(/[^A-Z0-9_-]/g, "").slice(0, 16);
+}
 
-  const maxPoints = 20;
+const DEFAULT_ROOM = normalizeRoomCode(process.env.DEFAULT_ROOM) || "MAIN";
 
-  // first 4 seconds => full points
-  if (elapsedSec <= 4) return maxPoints;
+// Blank code means the default room
+function getRoom(code) {
+  return rooms.get(normalizeRoomCode(code) || DEFAULT_ROOM) || null;
+}
 
-  // late seconds beyond the first 4 seconds
-  const secondsLate = Math.max(0, Math.ceil(elapsedSec - 4));
-  return Math.max(0, maxPoints - secondsLate);
+function roomOf(socket) {
+  return rooms.get(socket.data.roomCode) || null;
 }
 
-// ------------------- STATE -------------------
-let state = resetState();
+function roomChannel(room) { return `room:${room.code}`; }
 
-/**
- * pendingTakeovers: Map<pin, { requesterId, requestedAt, ip, userAgent }>
- * requesterId is the socket.id of the device asking to take over that PIN.
- */
-let pendingTakeovers = new Map();
+// Reads the room's Teams / Questions tabs without touching the room
+async function fetchRoomData(room) {
+  const { teams, questions, tieBreakers, settings, report } = await checkRoomData({
+    questionsSheet: room.questionsSheet,
+    teamsSheet: room.teamsSheet,
+    tieBreakSheet: room.tieBreakSheet,
+    settingsSheet: room.settingsSheet
+  });
+  const teamRegistry = teams.map(t => ({ 
+    pin: t.pin, 
+    name: t.name, 
+    avatarUrl: t.avatarUrl || "", 
+    members: Array.isArray(t.members) ? t.members:[],
+    powerupLimits: t.powerupLimits || null }));
+
+  return { teamRegistry, questionBank: questions, tieBreakBank: tieBreakers, settings, report };
+}
+
+function logDataReport(room, report) {
+  if (!report || !report.issues.length) return;
+  console.warn(`⚠️  [${room.code}] ${report.errors} row(s) rejected, ${report.warnings} warning(s) in ${room.teamsSheet}/${room.questionsSheet} (see host panel or npm run check).`);
+}
+
+async function loadRoomData(room) {
+  const { teamRegistry, questionBank, tieBreakBank, settings, report } = await fetchRoomData(room);
+  room.teamRegistry = teamRegistry;
+  room.questionBank = questionBank;
+  room.tieBreakBank = tieBreakBank;
+  room.dataReport = report;
+  applySettings(room, settings);
+
+  console.log(`✅ [${room.code}] Loaded ${room.teamRegistry.length} teams from ${room.teamsSheet} (${STORE_NAME}).`);
+  console.log(`✅ [${room.code}] Loaded ${room.questionBank.length} questions from ${room.questionsSheet} (${STORE_NAME}).`);
+  console.log(`✅ [${room.code}] Loaded ${room.tieBreakBank.length} tie-breaker questions from ${room.tieBreakSheet} (${STORE_NAME}).`);
+  console.log(`✅ [${room.code}] Loaded settings for "${room.settings.title}" from ${room.settingsSheet} (${STORE_NAME}).`);
+  logDataReport(room, report);
+}
+
+// New settings take effect in the lobby; a running game keeps its title and toggles
+function applySettings(room, settings) {
+  const prev = room.settings;
+  room.settings = settings;
+  const { state } = room;
+  if (state.phase !== "lobby") return;
+  state.title = settings.title;
+  state.timeSec = settings.defaultTimeSec;
+  // the host's toggles change only when the default itself changed
+  if (settings.shuffleQuestions !== prev.shuffleQuestions) state.shuffleQuestions = settings.shuffleQuestions;
+  if (settings.shuffleChoices !== prev.shuffleChoices) state.shuffleChoices = settings.shuffleChoices;
+}
+
+// Tab names come from the host login and become file names offline: letters, digits, spaces, _ and -
+const TAB_NAME_RE = /^[\p{L}\p{N}_\- ]{1,64}$/u;
+
+function tabName(raw, fallback) {
+  const name = String(raw || "").trim() || fallback;
+  if (!TAB_NAME_RE.test(name)) throw new Error(`Invalid tab name "${name}" (letters, digits, spaces, _ and - only)`);
+  return name;
+}
+
+function makeRoom({ code, questionsSheet, teamsSheet, tieBreakSheet }) {
+  return {
+    code: normalizeRoomCode(code) || DEFAULT_ROOM,
+    questionsSheet: tabName(questionsSheet, process.env.QUESTIONS_SHEET_NAME || "Questions"),
+    teamsSheet: tabName(teamsSheet, process.env.TEAMS_SHEET_NAME || "Teams"),
+    tieBreakSheet: tabName(tieBreakSheet, process.env.TIEBREAK_SHEET_NAME || "TieBreakers"),
+    // one Settings tab for the event, shared by every room
+    settingsSheet: tabName("", process.env.SETTINGS_SHEET_NAME || "Settings"),
+    settings: DEFAULT_SETTINGS,
+    teamRegistry: [],
+    questionBank: [],
+    tieBreakBank: [],
+    dataReport: null,        // data_check.js report for the loaded tabs
+    state: resetState(),
+    pendingTakeovers: new Map(),
+    pendingRegistrations: new Map(),  // open registration waiting for the host (see REGISTRATION)
+    pendingReload: null,     // { teamRegistry, questionBank, tieBreakBank, diff, loadedAt } waiting for the host to apply
+    bots: null,              // bots.js fleet run by this server (host panel "Add bots")
+    botSeq: 0,               // last BOT<n> PIN handed out
+    autopilotStep: null,     // what autopilot does next on this screen (see AUTOPILOT)
+    lastTimerSaveMs: 0,
+    savedPhase: "",          // phase / game of the last immediate save (see persistState)
+    savedGameId: ""
+  };
+}
+
+async function createRoom(cfg) {
+  const room = makeRoom(cfg);
+  await loadRoomData(room);
+  rooms.set(room.code, room);
+  appendJournal(room.code, {
+    type: "open",
+    room: { code: room.code, questionsSheet: room.questionsSheet, teamsSheet: room.teamsSheet, tieBreakSheet: room.tieBreakSheet },
+    data: roomData(room),
+    ...journalGame(room)
+  });
+  return room;
+}
+
+// ------------------- JOURNAL -------------------
+// What replay.js needs to rebuild a room; see journal.js for the entry types
+function roomData(room) {
+  return { teamRegistry: room.teamRegistry, questionBank: room.questionBank, tieBreakBank: room.tieBreakBank, settings: room.settings };
+}
+
+function journalGame(room) {
+  return { gameId: room.state.gameId, seed: room.state.seed };
+}
+
+// commands that name their room in the args; the rest act on the socket's current room
+const ROOM_ARG_EVENTS = new Set(["hostLogin", "registerHost", "registerProjector", "joinTeam", "resumeTeam"]);
+// read-only requests
+// bots are journaled as "bots" entries (a replay must not start real bots)
+// registrations carry photos; an approved team is journaled as a "registered" entry
+const UNJOURNALED_EVENTS = new Set([
+  "hostReloadPreview", "hostAddBots", "hostRemoveBots",
+  "registerTeam", "hostApproveRegistration", "hostRejectRegistration"
+]);
+
+function journalCommand(socket, event, args) {
+  if (UNJOURNALED_EVENTS.has(event)) return;
+  const arg = args[0] && typeof args[0] === "object" ? args[0] : {};
+  const room = ROOM_ARG_EVENTS.has(event) ? getRoom(arg.room) : roomOf(socket);
+  if (!room) return;
+
+  const entry = { type: "cmd", socket: socket.id, event, args: redactArgs(args.filter(a => typeof a !== "function")) };
+  // answer timing depends on the device's measured round trip
+  if (event === "lockAnswer") entry.rttMs = rttOf(socket);
+  // the token itself is a secret; replay only needs to know whether it matched
+  if (event === "resumeTeam") {
+    const team = findTeamByPin(room, arg.pin || "");
+    entry.tokenValid = !!(team && arg.token && team.resumeToken === String(arg.token));
+  }
+  appendJournal(room.code, entry);
+}
+
+// Leaving a room drops whatever role the socket had there (team device goes offline)
+function detachFromRoom(socket) {
+  const room = roomOf(socket);
+  if (!room) return;
+  const { state } = room;
+
+  if (socket.id === state.hostId) state.hostId = null;
+  state.cohostIds.delete(socket.id);
+  state.projectorIds.delete(socket.id);
+
+  // If a logged-in team disconnects, free its pin but keep its progress
+  const team = teamOfSocket(room, socket);
+  if (team) {
+    team.socketId = null;
+    team.disconnectedAt = Date.now();
+    // Also clear pending takeover for that pin (optional)
+    clearPendingTakeoverForPin(room, team.pin);
+  }
+  socket.data.teamPin = null;
+
+  // If a takeover requester leaves, remove its request
+  for (const [pin, req] of room.pendingTakeovers.entries()) {
+    if (req.requesterId === socket.id) room.pendingTakeovers.delete(pin);
+  }
+  for (const [id, req] of room.pendingRegistrations.entries()) {
+    if (req.requesterId === socket.id) room.pendingRegistrations.delete(id);
+  }
+
+  socket.leave(roomChannel(room));
+  socket.data.roomCode = null;
+  broadcast(room);
+}
 
-function resetState() {
+function attachToRoom(socket, room) {
+  if (socket.data.roomCode === room.code) return;
+  detachFromRoom(socket);
+  socket.data.roomCode = room.code;
+  socket.join(roomChannel(room));
+}
+
+// settings: the room's settings.js values (title, default question time, shuffle defaults)
+function resetState(settings = DEFAULT_SETTINGS) {
+  const seed = makeSeed();
   return {
-    title: GAME_TITLE,
+    title: settings.title,
     gameId: makeGameId(),
+    seed,                    // shuffles draw from seeded_random.js; rngState is the position
+    rngState: seed,
 
-    phase: "lobby",         // lobby | question | revealed | leaderboard | finished
+    phase: "lobby",         // lobby | roundIntro | question | revealed | leaderboard | roundSummary | tiebreak | finished
     qIndex: -1,
     paused: true,
     manualScoring: false,
+    scoringProfile: DEFAULT_PROFILE, // see scoring.js; questions may override
 
     // timing
     startedAtMs: 0,
     accumulatedRunMs: 0,
-    timeSec: 20,
+    timeSec: settings.defaultTimeSec,
 
     // shuffle toggles
-    shuffleQuestions: true,
-    shuffleChoices: true,
+    shuffleQuestions: settings.shuffleQuestions,
+    shuffleChoices: settings.shuffleChoices,
+
+    // rehearsal: writes go to rehearsal_log.js, not the sheets (kept across a reset)
+    rehearsal: false,
+    preview: null,           // { index, showAnswer }: questionBank entry on the projector (rehearsal lobby)
+
+    // devices may sign up new teams in the lobby (see REGISTRATION); kept across a reset
+    registrationOpen: false,
+
+    // hands-free progression (see AUTOPILOT); kept across a reset
+    autopilot: defaultAutopilot(),
 
     // built when host starts
     gameQuestions: null,
+    rounds: [],              // rounds.js buildRounds(); one unnamed round when the sheet has none
+    roundIndex: -1,
+
+    // sudden death at the end of the game, see startTieBreak(); null until a podium tie is found
+    tieBreak: null,
 
-    // teams
-    teams: new Map(),        // socketId -> team object
-    claimedPins: new Set(),  // pins currently logged in
+    // teams (kept while their device is disconnected; socketId is null then)
+    teams: new Map(),        // pin -> team object
 
     // roles
     hostId: null,
+    cohostIds: new Set(),    // read-only moderators
     projectorIds: new Set(),
 
     // question logging
     questionLogged: false,
-    questionRunId: ""
+    questionRunId: "",
+    revealCount: 0,          // reveals of the current run (more than 1 after an undo)
+
+    // what each reveal scored, for regrade / undo (see REGRADE / UNDO)
+    revealHistory: [],
+
+    // game question indexes the host skipped (see NAVIGATION)
+    skipped: []
   };
 }
 
-function getCurrentQuestionObj() {
+function getCurrentQuestionObj(room) {
+  const { state } = room;
+  if (state.tieBreak && state.tieBreak.question) return state.tieBreak.question;
   if (state.gameQuestions && state.qIndex >= 0) return state.gameQuestions[state.qIndex];
   return null;
 }
 
-function getRunElapsedMs() {
+function getRunElapsedMs(room) {
+  const { state } = room;
   if (state.phase !== "question") return state.accumulatedRunMs;
   if (state.paused) return state.accumulatedRunMs;
   return state.accumulatedRunMs + (Date.now() - state.startedAtMs);
 }
 
-function getRemainingSec() {
+// Server-clock time the running question ends; null while paused / between questions
+function getEndsAt(room) {
+  const { state } = room;
+  if (state.phase !== "question" || state.paused) return null;
+  return state.startedAtMs + (state.timeSec * 1000 - state.accumulatedRunMs);
+}
+
+function getRemainingSec(room) {
+  const { state } = room;
   if (state.phase !== "question") return null;
-  const elapsed = getRunElapsedMs() / 1000;
+  const elapsed = getRunElapsedMs(room) / 1000;
   return Math.max(0, Math.ceil(state.timeSec - elapsed));
 }
 
-// Public state sent to everyone (projector/teams)
-function publicState() {
+// The answer key (and every team's pick) goes out only once the answer is revealed
+function isAnswerRevealed(room) {
+  const { state } = room;
+  return ["revealed", "leaderboard", "roundSummary", "finished"].includes(state.phase);
+}
+
+function questionForClient(room, q) {
+  if (!q) return null;
+  // intro slides (round, sudden death) come before their question; nothing to show yet
+  if (room.state.phase === "roundIntro" || room.state.phase === "tiebreak") return null;
+  if (isAnswerRevealed(room)) return q;
+  return publicQuestion(q);
+}
+
+// Rehearsal lobby: the question the host put on the projector, as it would look in the game
+function previewForClient(room) {
+  const { state } = room;
+  const p = state.preview;
+  const q = p && state.rehearsal && state.phase === "lobby" ? room.questionBank[p.index] : null;
+  if (!q) return null;
+  return {
+    index: p.index,
+    total: room.questionBank.length,
+    showAnswer: p.showAnswer,
+    question: p.showAnswer ? q : publicQuestion(q)
+  };
+}
+
+// Public state sent to projectors and devices that haven't joined a team.
+// Team devices get this plus their own private view (teamState).
+function publicState(room) {
+  const { state } = room;
+  const revealed = isAnswerRevealed(room);
+  const placeOf = new Map(standings([...state.teams.values()]).map(r => [r.team.pin, r.place]));
   const teams = [...state.teams.values()].map(t => ({
     id: t.id,
     pin: t.pin,
@@ -163,28 +484,125 @@ function publicState() {
     members: Array.isArray(t.members) ? t.members : [],
     leaderName: t.leaderName || "",
 
+    connected: !!t.socketId,
+
     score: t.score,
-    lockedChoice: t.lockedChoice,
-    lockedAtRunMs: t.lockedAtRunMs,
-    lastResult: t.lastResult
+    hasLocked: t.lockedChoice != null,
+    lockedChoice: revealed ? t.lockedChoice : null,
+    answerText: revealed ? formatAnswer(getCurrentQuestionObj(room), t.lockedChoice) : "",
+    lockedAtRunMs: revealed ? t.lockedAtRunMs : null,
+    lastResult: t.lastResult,
+    roundScore: roundScoreOf(t, state.roundIndex),
+    place: placeOf.get(t.pin),   // shared by tied teams; sudden-death wins break ties
+    tieBreakRank: t.tieBreakRank,
+    powerups: t.powerupsThisQ || []
   }));
 
   return {
+    roomCode: room.code,
     title: state.title,
     phase: state.phase,
     qIndex: state.qIndex,
     paused: state.paused,
     manualScoring: state.manualScoring,
-    timer: getRemainingSec(),
-    question: getCurrentQuestionObj(),
+    scoringProfile: state.scoringProfile,
+    timer: getRemainingSec(room),
+    endsAt: getEndsAt(room),
+    serverNow: Date.now(),
+    question: questionForClient(room, getCurrentQuestionObj(room)),
+    round: roundForClient(room),
+    tieBreak: tieBreakForClient(room),
+    answers: answerStats(room),
     teams,
     shuffleQuestions: !!state.shuffleQuestions,
-    shuffleChoices: !!state.shuffleChoices
+    shuffleChoices: !!state.shuffleChoices,
+    rehearsal: !!state.rehearsal,
+    preview: previewForClient(room),
+    autopilot: autopilotForClient(room),
+    registrationOpen: !!state.registrationOpen && state.phase === "lobby",
+    branding: brandingForClient(room.settings)
+  };
+}
+
+function roundScoreOf(team, roundIndex) {
+  return (Array.isArray(team.roundScores) && team.roundScores[roundIndex]) || 0;
+}
+
+// Current round for the intro slide / badges; null when the game has no rounds
+function roundForClient(room) {
+  const { state } = room;
+  if (!hasRounds(state.rounds)) return null;
+  const r = state.rounds[state.roundIndex];
+  if (!r) return null;
+  return {
+    number: state.roundIndex + 1,
+    total: state.rounds.length,
+    name: roundLabel(state.rounds, state.roundIndex),
+    intro: r.intro,
+    categories: r.categories,
+    count: r.count,
+    // 1-based position of the current question inside the round (0 on the intro slide)
+    questionNumber: state.phase === "roundIntro" ? 0 : state.qIndex - r.start + 1
+  };
+}
+
+// "N / M teams answered" while a question runs; after reveal also the chart data and the
+// fastest correct team. Counts only, so nobody's pick leaks before the reveal.
+function answerStats(room) {
+  const { state } = room;
+  if (!["question", "revealed", "leaderboard"].includes(state.phase)) return null;
+  const q = getCurrentQuestionObj(room);
+  if (!q) return null;
+
+  const tb = state.tieBreak && state.tieBreak.question ? state.tieBreak : null;
+  const teams = [...state.teams.values()].filter(t => !tb || tb.pins.includes(t.pin));
+  const out = { answered: teams.filter(t => t.lockedChoice != null).length, total: teams.length };
+  if (!isAnswerRevealed(room)) return out;
+
+  const answers = teamAnswers(room);
+  const credits = gradeAnswers(q, answers);
+  const fastest = state.teams.get(fastestCorrect(teams, teams.map(t => t.pin), credits));
+  out.distribution = answerDistribution(q, answers, credits);
+  out.fastest = fastest ? { pin: fastest.pin, name: fastest.name, timeMs: Math.round(fastest.lockedAtRunMs) } : null;
+  return out;
+}
+
+// The sudden death being played; null when there is none
+function tieBreakForClient(room) {
+  const tb = room.state.tieBreak;
+  if (!tb || !tb.pins.length) return null;
+  return { place: tb.place, pins: tb.pins, number: tb.used };
+}
+
+// What a team device sees: the public state + its own lock/result, visible to it right away
+function teamState(room, team, pub = publicState(room)) {
+  return {
+    ...pub,
+    me: {
+      id: team.id,
+      pin: team.pin,
+      name: team.name,
+      score: team.score,
+      lockedChoice: team.lockedChoice,
+      answerText: formatAnswer(getCurrentQuestionObj(room), team.lockedChoice),
+      lockedAtRunMs: team.lockedAtRunMs,
+      lastResult: team.lastResult,
+      lastPointsAwarded: team.lastPointsAwarded || 0,
+      lastBreakdown: team.lastBreakdown || null,
+      streak: team.streak || 0,
+      // extra time moves this team's own deadline
+      endsAt: pub.endsAt == null ? null : pub.endsAt + (team.extraTimeMs || 0),
+      powerups: powerupStatus(team),
+      powerupsThisQ: team.powerupsThisQ || [],
+      hiddenChoices: team.hiddenChoices || [],
+      doubleArmed: !!team.doubleArmed
+    }
   };
 }
 
-// Host-only state includes device info + takeover queue
-function hostState() {
+// Host-only state includes device info + takeover queue + answer key and live picks
+function hostState(room) {
+  const { state } = room;
   const teams = [...state.teams.values()].map(t => ({
     id: t.id,
     pin: t.pin,
@@ -196,12 +614,22 @@ function hostState() {
     members: Array.isArray(t.members) ? t.members : [],
     leaderName: t.leaderName || "",
 
+    connected: !!t.socketId,
+    bot: !!t.bot,
+    lockedChoice: t.lockedChoice,
+    answerText: formatAnswer(getCurrentQuestionObj(room), t.lockedChoice),
+    lockedAtRunMs: t.lockedAtRunMs,
+    latencyMs: t.lockLatencyMs,
+    powerups: powerupStatus(t),
+    powerupsThisQ: t.powerupsThisQ || [],
+    rttMs: t.socketId && io.sockets.sockets.get(t.socketId) ? rttOf(io.sockets.sockets.get(t.socketId)) : null,
     joinedAt: t.joinedAt,
+    disconnectedAt: t.disconnectedAt,
     ip: t.ip,
     userAgent: t.userAgent
   }));
 
-  const takeovers = [...pendingTakeovers.entries()].map(([pin, req]) => ({
+  const takeovers = [...room.pendingTakeovers.entries()].map(([pin, req]) => ({
     pin,
     requesterId: req.requesterId,
     requestedAt: req.requestedAt,
@@ -209,44 +637,292 @@ function hostState() {
     userAgent: req.userAgent
   }));
 
+  const registrations = [...room.pendingRegistrations.values()].map(req => ({
+    id: req.id,
+    name: req.name,
+    members: req.members,
+    hasPhoto: !!req.avatar,   // served on demand, see /api/rooms/:code/registrations/:id/photo
+    requestedAt: req.requestedAt,
+    ip: req.ip,
+    userAgent: req.userAgent
+  }));
+
   return {
+    roomCode: room.code,
+    gameId: state.gameId,
+    questionsSheet: room.questionsSheet,
+    teamsSheet: room.teamsSheet,
+    scoringProfiles: profileNames(),
+    writeQueue: getQueueStatus(),
+    dataReport: room.dataReport,
+    question: getCurrentQuestionObj(room),
     teams,
-    takeovers
+    takeovers,
+    registrations,
+    registrationOpen: !!state.registrationOpen,
+    regrade: {
+      // latest reveal of each game question, newest first
+      questions: [...new Map(state.revealHistory.map(h => [h.qIndex, h])).values()]
+        .sort((a, b) => b.qIndex - a.qIndex)
+        .map(h => ({ qNumber: h.qIndex + 1, type: state.gameQuestions[h.qIndex].type || "mc", correct: formatCorrect(state.gameQuestions[h.qIndex]), manual: h.manual })),
+      canUndo: !undoRevealError(room)
+    },
+    // jump / skip / reorder (see NAVIGATION)
+    questionList: questionListForHost(room),
+    canRestart: state.phase === "question" && !navigationError(room),
+    autopilot: state.autopilot,
+    rehearsal: {
+      on: !!state.rehearsal,
+      logFile: state.rehearsal ? rehearsalPath(room.code, state.gameId) : "",
+      // questions the host can preview (lobby only)
+      questions: state.rehearsal && state.phase === "lobby"
+        ? room.questionBank.map((q, i) => ({ index: i, text: q.text || "" }))
+        : []
+    },
+    bots: {
+      count: botCount(room),
+      online: teams.filter(t => t.bot && t.connected).length,
+      max: MAX_BOTS
+    }
+  };
+}
+
+function isHost(room, socket) { return socket.id === room.state.hostId; }
+// host or co-host: may watch the host panel and handle takeovers
+function isModerator(room, socket) { return isHost(room, socket) || room.state.cohostIds.has(socket.id); }
+
+function moderatorIds(room) {
+  const { state } = room;
+  return [state.hostId, ...state.cohostIds].filter(Boolean);
+}
+
+function broadcast(room) {
+  const { state } = room;
+  updateAutopilotStep(room);
+  const pub = publicState(room);
+  const teamSocketIds = [];
+  for (const t of state.teams.values()) {
+    if (!t.socketId) continue;
+    teamSocketIds.push(t.socketId);
+    io.to(t.socketId).emit("state", teamState(room, t, pub));
+  }
+  io.to(roomChannel(room)).except(teamSocketIds).emit("state", pub);
+
+  const mods = moderatorIds(room);
+  if (mods.length) {
+    io.to(mods).emit("hostState", hostState(room));
+  }
+  // every state change is broadcast, so this is also where it gets saved
+  persistState(room);
+}
+
+// ------------------- SAVE / RESUME -------------------
+function serializeTeam(t) {
+  return {
+    pin: t.pin,
+    resumeToken: t.resumeToken,
+    score: t.score,
+    lockedChoice: t.lockedChoice,
+    lockedAtRunMs: t.lockedAtRunMs,
+    lockLatencyMs: t.lockLatencyMs || 0,
+    lastResult: t.lastResult,
+    lastPointsAwarded: t.lastPointsAwarded || 0,
+    lastBreakdown: t.lastBreakdown || null,
+    streak: t.streak || 0,
+    roundScores: Array.isArray(t.roundScores) ? t.roundScores : [],
+    tieBreakRank: t.tieBreakRank ?? null,
+    powerupsUsed: t.powerupsUsed || {},
+    powerupsThisQ: t.powerupsThisQ || [],
+    hiddenChoices: t.hiddenChoices || [],
+    doubleArmed: !!t.doubleArmed,
+    extraTimeMs: t.extraTimeMs || 0
+  };
+}
+
+function serializeState(room) {
+  const { state } = room;
+  const teams = [...state.teams.values()].map(serializeTeam);
+
+  return {
+    savedAt: Date.now(),
+    roomCode: room.code,
+    questionsSheet: room.questionsSheet,
+    teamsSheet: room.teamsSheet,
+    title: state.title,
+    gameId: state.gameId,
+    seed: state.seed,
+    rngState: state.rngState,
+    phase: state.phase,
+    qIndex: state.qIndex,
+    paused: state.paused,
+    manualScoring: state.manualScoring,
+    scoringProfile: state.scoringProfile,
+    runElapsedMs: getRunElapsedMs(room),
+    timeSec: state.timeSec,
+    shuffleQuestions: state.shuffleQuestions,
+    shuffleChoices: state.shuffleChoices,
+    rehearsal: state.rehearsal,
+    registrationOpen: state.registrationOpen,
+    // approved this session; the Teams tab may not have them yet
+    registered: room.teamRegistry.filter(t => t.selfRegistered),
+    autopilot: state.autopilot,
+    gameQuestions: state.gameQuestions,
+    rounds: state.rounds,
+    roundIndex: state.roundIndex,
+    tieBreak: state.tieBreak,
+    questionLogged: state.questionLogged,
+    questionRunId: state.questionRunId,
+    revealCount: state.revealCount,
+    revealHistory: state.revealHistory,
+    skipped: state.skipped,
+    teams
   };
 }
 
-function isHost(socket) { return socket.id === state.hostId; }
+// A new phase is saved right away; changes inside a phase (locks, the clock) are coalesced
+// into a background write (state_persist.js)
+function persistState(room) {
+  const { state } = room;
+  if (state.phase === room.savedPhase && state.gameId === room.savedGameId) {
+    queueGameStateSave(room.code, () => serializeState(room));
+    return;
+  }
+  room.savedPhase = state.phase;
+  room.savedGameId = state.gameId;
+  try {
+    saveGameState(room.code, serializeState(room));
+  } catch (err) {
+    console.error(`❌ [${room.code}] Game state save failed:`, err.message || err);
+  }
+}
+
+// Puts a saved game back in the same phase/question. A running question comes back
+// paused at the elapsed time it was saved with; the host presses Resume.
+function restoreState(room, saved) {
+  const s = resetState(room.settings);
+
+  s.title = saved.title || s.title;
+  s.gameId = saved.gameId || s.gameId;
+  if (Number.isInteger(saved.seed)) s.seed = saved.seed;
+  s.rngState = Number.isInteger(saved.rngState) ? saved.rngState : s.seed;
+  s.phase = saved.phase || "lobby";
+  s.qIndex = Number.isInteger(saved.qIndex) ? saved.qIndex : -1;
+  s.paused = true;
+  s.manualScoring = !!saved.manualScoring;
+  s.scoringProfile = isProfile(saved.scoringProfile) ? normalizeProfileName(saved.scoringProfile) : s.scoringProfile;
+  s.accumulatedRunMs = Number(saved.runElapsedMs) || 0;
+  s.timeSec = Number(saved.timeSec) || s.timeSec;
+  s.shuffleQuestions = saved.shuffleQuestions !== false;
+  s.shuffleChoices = saved.shuffleChoices !== false;
+  s.rehearsal = !!saved.rehearsal;
+  s.registrationOpen = !!saved.registrationOpen;
+  // comes back paused: the host picks it up again after a restart
+  if (saved.autopilot) s.autopilot = { ...normalizeAutopilot(saved.autopilot), paused: !!saved.autopilot.on };
+  s.gameQuestions = Array.isArray(saved.gameQuestions) ? saved.gameQuestions : null;
+  s.rounds = Array.isArray(saved.rounds) ? saved.rounds : buildRounds(s.gameQuestions);
+  s.roundIndex = Number.isInteger(saved.roundIndex) ? saved.roundIndex : roundIndexOf(s.rounds, s.qIndex);
+  s.tieBreak = saved.tieBreak || null;
+  s.questionLogged = !!saved.questionLogged;
+  s.questionRunId = saved.questionRunId || "";
+  s.revealCount = Number(saved.revealCount) || 0;
+  s.revealHistory = Array.isArray(saved.revealHistory) ? saved.revealHistory : [];
+  s.skipped = Array.isArray(saved.skipped) ? saved.skipped : [];
+
+  // teams approved before the restart whose Teams row is still queued
+  for (const info of Array.isArray(saved.registered) ? saved.registered : []) {
+    if (!room.teamRegistry.some(t => t.pin === info.pin)) room.teamRegistry.push({ ...info, selfRegistered: true });
+  }
 
-function broadcast() {
-  io.emit("state", publicState());
-  if (state.hostId) {
-    io.to(state.hostId).emit("hostState", hostState());
+  // teams come back disconnected; name/avatar/members are taken fresh from the registry
+  for (const savedTeam of Array.isArray(saved.teams) ? saved.teams : []) {
+    const info = room.teamRegistry.find(t => t.pin === savedTeam.pin);
+    if (!info) continue;
+    const team = makeTeam(info);
+    for (const k of Object.keys(serializeTeam(team))) {
+      if (savedTeam[k] !== undefined) team[k] = savedTeam[k];
+    }
+    s.teams.set(team.pin, team);
   }
+
+  // a game in progress without its question list can't be resumed
+  if (s.phase !== "lobby" && !s.gameQuestions) return null;
+  return s;
+}
+
+// qNumber in the logs: 1, 2, 3… for game questions, TB1, TB2… for sudden-death questions
+function questionNumber(room) {
+  const { state } = room;
+  if (state.tieBreak && state.tieBreak.question) return `TB${state.tieBreak.used}`;
+  return state.qIndex + 1;
 }
 
-function makeQuestionRunId() {
-  return `${state.gameId}-Q${state.qIndex + 1}-${Date.now()}`;
+function makeQuestionRunId(room) {
+  const { state } = room;
+  return `${state.gameId}-${logLabel(room)}-${Date.now()}`;
 }
 
 // ------------------- SHEET WRITES -------------------
-async function logQuestionIfNeeded() {
+// These only queue the rows; write_queue.js sends them (and retries) in the background.
+// A rehearsal game sends them to its throwaway log instead (rehearsal_log.js).
+function writeQuestionRow(room, key, row) {
+  const { state } = room;
+  if (state.rehearsal) appendRehearsal(room.code, state.gameId, [{ kind: "question", key, row }]);
+  else enqueueQuestionRow(key, row);
+}
+
+// rows: [{ key, row }]; returns how many were new
+function writeAnswerRows(room, rows) {
+  const { state } = room;
+  if (state.rehearsal) return appendRehearsal(room.code, state.gameId, rows.map(r => ({ kind: "answer", ...r })));
+  return enqueueAnswerRows(rows);
+}
+
+function writeScores(room, pinToScore) {
+  const { state } = room;
+  if (state.rehearsal) appendRehearsal(room.code, state.gameId, [{ kind: "scores", pinToScore }]);
+  else enqueueScores(room.teamsSheet, pinToScore);
+}
+
+// team: a self-registered team for the Teams tab
+function writeTeamRow(room, team) {
+  const { state } = room;
+  if (state.rehearsal) appendRehearsal(room.code, state.gameId, [{ kind: "team", team }]);
+  else enqueueTeamRow(room.teamsSheet, team);
+}
+
+function writeTarget(room) {
+  return room.state.rehearsal ? " to the rehearsal log" : "";
+}
+
+function logQuestionIfNeeded(room) {
+  const { state } = room;
   if (state.phase !== "question") return;
   if (state.questionLogged) return;
 
-  const q = getCurrentQuestionObj();
+  const q = getCurrentQuestionObj(room);
   if (!q) return;
 
   state.questionLogged = true;
-  state.questionRunId = makeQuestionRunId();
+  state.questionRunId = makeQuestionRunId(room);
 
-  const ts = new Date().toISOString();
-  const correctLetter = "ABCD"[q.correctIndex] || "";
+  const row = questionLogRow(room, {
+    ts: new Date().toISOString(),
+    runId: state.questionRunId,
+    qNumber: questionNumber(room),
+    q
+  });
+
+  writeQuestionRow(room, state.questionRunId, row);
+  console.log(`🧾 [${room.code}] QuestionLog: queued ${logLabel(room)}${writeTarget(room)} (questionRunId=${state.questionRunId}).`);
+}
 
-  const row = [
+// One QuestionLog row (QUESTION_LOG_HEADERS order); status = "skipped" / "restarted" for a run without a reveal
+function questionLogRow(room, { ts, runId, qNumber, q, status = "" }) {
+  return [
     ts,
-    state.gameId,
-    state.questionRunId,
-    state.qIndex + 1,
+    room.state.gameId,
+    runId,
+    qNumber,
     q.text || "",
     q.mediaType || "",
     q.mediaUrl || "",
@@ -254,268 +930,1544 @@ async function logQuestionIfNeeded() {
     safeChoice(q, 1),
     safeChoice(q, 2),
     safeChoice(q, 3),
-    correctLetter
+    formatCorrect(q),
+    room.code,
+    q.type || "mc",
+    safeChoice(q, 4),
+    safeChoice(q, 5),
+    q.round || "",
+    q.category || "",
+    status
   ];
+}
 
-  try {
-    await appendQuestionRow(row);
-    console.log(`🧾 QuestionLog: logged Q${state.qIndex + 1} (questionRunId=${state.questionRunId}).`);
-  } catch (err) {
-    console.error("❌ QuestionLog write failed:", err.message || err);
-  }
+function logLabel(room) {
+  const n = questionNumber(room);
+  return typeof n === "number" ? `Q${n}` : n;
 }
 
-async function logAnswersNow() {
-  const q = getCurrentQuestionObj();
+function logAnswersNow(room) {
+  const { state } = room;
+  const q = getCurrentQuestionObj(room);
   if (!q) return;
 
   const ts = new Date().toISOString();
   const rows = [];
+  const credits = gradeTeams(room, q);
+  // sudden death: only the tied teams played
+  const tb = state.tieBreak && state.tieBreak.question ? state.tieBreak : null;
+  // a question revealed again after an undo gets new rows
+  const again = state.revealCount > 1 ? `:reveal${state.revealCount}` : "";
 
   for (const t of state.teams.values()) {
-    const answerLetter = (t.lockedChoice == null) ? "" : "ABCD"[t.lockedChoice];
-    const isCorrect = (t.lockedChoice === q.correctIndex) ? "TRUE" : "FALSE";
-    const timeMs = (t.lockedAtRunMs == null) ? "" : Math.round(t.lockedAtRunMs);
-    const points = t.lastPointsAwarded || 0;
-
-    rows.push([
+    if (tb && !tb.pins.includes(t.pin)) continue;
+    if (t.bot) continue;
+    rows.push({ key: `${state.questionRunId}:${t.pin}${again}`, row: answerLogRow(room, {
       ts,
-      state.gameId,
-      state.questionRunId || "",
-      state.qIndex + 1,
-      t.pin,
-      t.name,
-      answerLetter,
-      isCorrect,
-      timeMs,
-      points,
-      t.score
-    ]);
+      runId: state.questionRunId,
+      qNumber: questionNumber(room),
+      q,
+      team: t,
+      a: { ...lockedAnswerOf(t), breakdown: t.lastBreakdown },
+      credit: credits.get(t.pin) || 0,
+      manual: state.manualScoring,
+      roundScore: hasRounds(state.rounds) && !tb ? roundScoreOf(t, state.roundIndex) : "",
+      tieBreak: tb ? (tb.winnerPin === t.pin ? `won place ${tb.place}` : "lost") : ""
+    }) });
   }
 
-  try {
-    const res = await appendAnswerRows(rows);
-    console.log(`🧾 AnswerLog: logged answers for Q${state.qIndex + 1} (${res.appended} rows).`);
-  } catch (err) {
-    console.error("❌ AnswerLog write failed:", err.message || err);
-  }
+  const added = writeAnswerRows(room, rows);
+  console.log(`🧾 [${room.code}] AnswerLog: queued answers for ${logLabel(room)}${writeTarget(room)} (${added} rows).`);
+}
+
+// What a team locked on the current question
+function lockedAnswerOf(t) {
+  const answered = t.lockedChoice != null && t.lockedAtRunMs != null;
+  return {
+    answer: answered ? t.lockedChoice : null,
+    lockedAtRunMs: answered ? t.lockedAtRunMs : null,
+    lockLatencyMs: t.lockLatencyMs || 0,
+    powerups: [...(t.powerupsThisQ || [])]
+  };
+}
+
+// One AnswerLog row (ANSWER_LOG_HEADERS order). a = lockedAnswerOf() + breakdown; credit null = not graded
+function answerLogRow(room, { ts, runId, qNumber, q, team, a, credit, manual, roundScore, tieBreak = "", correction = "" }) {
+  const { state } = room;
+  const b = a.breakdown || {};
+  return [
+    ts,
+    state.gameId,
+    runId || "",
+    qNumber,
+    team.pin,
+    team.name,
+    formatAnswer(q, a.answer),
+    credit == null ? "" : (credit >= 1 ? "TRUE" : (credit > 0 ? "PARTIAL" : "FALSE")),
+    a.lockedAtRunMs == null ? "" : Math.round(a.lockedAtRunMs),
+    b.points || 0,
+    team.score,
+    room.code,
+    b.profile || (manual ? "manual" : ""),
+    b.base ?? "",
+    b.multiplier ?? "",
+    b.streakBonus ?? "",
+    b.penalty ?? "",
+    b.streak ?? "",
+    q.round || "",
+    roundScore,
+    tieBreak,
+    a.lockedAtRunMs == null ? "" : a.lockLatencyMs,
+    a.powerups.join("+"),
+    correction
+  ];
 }
 
-async function syncTotalsToTeamsSheet() {
+function syncTotalsToTeamsSheet(room) {
+  const { state } = room;
   const pinToScore = {};
-  for (const t of state.teams.values()) pinToScore[t.pin] = t.score;
+  for (const t of state.teams.values()) if (!t.bot) pinToScore[t.pin] = t.score;
 
-  try {
-    const res = await updateScoresToSheet(pinToScore);
-    console.log(`📊 Teams totals synced (${res.updated} rows).`);
-  } catch (err) {
-    console.error("❌ Teams sync failed:", err.message || err);
-  }
+  writeScores(room, pinToScore);
 }
 
 // ------------------- GAME FLOW -------------------
-function startQuestion(index) {
-  state.phase = "question";
+// Credit (0..1) per team PIN for the current answers; no answer => 0
+function gradeTeams(room, q) {
+  return gradeAnswers(q, teamAnswers(room));
+}
+
+// pin -> locked answer (null = no answer)
+function teamAnswers(room) {
+  const answers = new Map();
+  for (const t of room.state.teams.values()) {
+    const answered = t.lockedChoice != null && t.lockedAtRunMs != null;
+    answers.set(t.pin, answered ? t.lockedChoice : null);
+  }
+  return answers;
+}
+
+function startQuestion(room, index) {
+  const { state } = room;
   state.qIndex = index;
+  state.roundIndex = roundIndexOf(state.rounds, index);
+  beginQuestionRun(room);
+}
+
+// Fresh timer, log flags and team locks for the current question (game or sudden death)
+function beginQuestionRun(room) {
+  const { state } = room;
+  state.phase = "question";
   state.paused = true;
   state.accumulatedRunMs = 0;
   state.startedAtMs = 0;
 
   state.questionLogged = false;
   state.questionRunId = "";
+  state.revealCount = 0;
 
-  const q = getCurrentQuestionObj();
-  state.timeSec = (q && typeof q.timeSec === "number") ? q.timeSec : 20;
+  const q = getCurrentQuestionObj(room);
+  state.timeSec = (q && typeof q.timeSec === "number") ? q.timeSec : room.settings.defaultTimeSec;
 
   for (const team of state.teams.values()) {
     team.lockedChoice = null;
     team.lockedAtRunMs = null;
+    team.lockLatencyMs = 0;
     team.lastResult = null;
     team.lastPointsAwarded = 0;
+    team.lastBreakdown = null;
+    team.hiddenChoices = [];
+    team.extraTimeMs = 0;
+    team.powerupsThisQ = [];
+    // double or nothing armed between questions applies to this one (never to sudden death)
+    if (team.doubleArmed && !(state.tieBreak && state.tieBreak.question)) {
+      team.doubleArmed = false;
+      team.powerupsThisQ.push("double");
+    }
   }
 }
 
-function resume() {
+function resume(room) {
+  const { state } = room;
   if (state.phase !== "question" || !state.paused) return;
-  logQuestionIfNeeded().finally(() => {});
-  state.paused = false;
+  // the clock starts at the press, not after the log row is queued (a disk write)
   state.startedAtMs = Date.now();
+  logQuestionIfNeeded(room);
+  state.paused = false;
 }
 
-function pause() {
+function pause(room) {
+  const { state } = room;
   if (state.phase !== "question" || state.paused) return;
   state.accumulatedRunMs += (Date.now() - state.startedAtMs);
   state.startedAtMs = 0;
   state.paused = true;
 }
 
-function revealAnswer() {
+function revealAnswer(room) {
+  const { state } = room;
   if (state.phase !== "question") return;
 
   if (!state.paused && state.startedAtMs) {
     state.accumulatedRunMs += (Date.now() - state.startedAtMs);
     state.startedAtMs = 0;
   }
+  // a question revealed without ever running still gets its QuestionLog row / run id
+  logQuestionIfNeeded(room);
+
   state.paused = true;
   state.phase = "revealed";
 
-  const q = getCurrentQuestionObj();
+  const q = getCurrentQuestionObj(room);
   if (!q) return;
 
-  logQuestionIfNeeded().finally(() => {});
+  if (state.tieBreak && state.tieBreak.question) {
+    revealTieBreak(room, q);
+    return;
+  }
+
+  const credits = gradeTeams(room, q);
+  const entry = recordReveal(room, credits);
 
   if (state.manualScoring) {
     for (const t of state.teams.values()) {
       t.lastResult = null;
       t.lastPointsAwarded = 0;
     }
-    logAnswersNow().finally(() => {});
-    syncTotalsToTeamsSheet().finally(() => {});
+    logAnswersNow(room);
+    syncTotalsToTeamsSheet(room);
     return;
   }
 
-    const correct = q.correctIndex;
+  const profile = resolveProfile(state.scoringProfile, q);
 
   for (const t of state.teams.values()) {
-    t.lastPointsAwarded = 0;
-
-    // no answer => wrong => 0
-    if (t.lockedChoice == null || t.lockedAtRunMs == null) {
-      t.lastResult = "wrong";
-      continue;
-    }
-
-    const isCorrect = (t.lockedChoice === correct);
-    t.lastResult = isCorrect ? "correct" : "wrong";
-
-    const gained = computeQuestionScore(isCorrect, t.lockedAtRunMs, state.timeSec);
-    t.lastPointsAwarded = gained;
-    t.score += gained;
+    // no answer => wrong => 0 (a wrong answer may cost points, see scoring.js)
+    const credit = credits.get(t.pin) || 0;
+    t.lastResult = resultOf(credit);
+
+    const breakdown = scoreLocked(profile, entry.teams[t.pin], credit, state.timeSec);
+    entry.teams[t.pin].breakdown = breakdown;
+    t.streak = breakdown.streak;
+    t.lastBreakdown = breakdown;
+    t.lastPointsAwarded = breakdown.points;
+    t.score += breakdown.points;
+    addRoundPoints(room, t, breakdown.points);
   }
 
-  syncTotalsToTeamsSheet().finally(() => {});
-  logAnswersNow().finally(() => {});
+  syncTotalsToTeamsSheet(room);
+  logAnswersNow(room);
+}
+
+function resultOf(credit) {
+  return credit >= 1 ? "correct" : (credit > 0 ? "partial" : "wrong");
+}
 
-  syncTotalsToTeamsSheet().finally(() => {});
-  logAnswersNow().finally(() => {});
+// Points for one locked answer (lockedAnswerOf + streakBefore); reveal and regrade score alike
+function scoreLocked(profile, a, credit, timeSec) {
+  const breakdown = scoreAnswer(profile, {
+    credit,
+    answered: a.answer != null,
+    lockedAtRunMs: a.lockedAtRunMs,
+    timeSec,
+    streak: a.streakBefore
+  });
+  return a.powerups.includes("double") ? applyDoubleOrNothing(breakdown, credit, profile) : breakdown;
 }
 
-function showLeaderboard() {
+function showLeaderboard(room) {
+  const { state } = room;
   if (state.phase !== "revealed") return;
   state.phase = "leaderboard";
   state.paused = true;
 }
 
-function nextQuestion() {
-  const total = state.gameQuestions ? state.gameQuestions.length : 0;
-  if (state.qIndex >= total - 1) {
-    state.phase = "finished";
-    state.paused = true;
+// End of the game, unless a podium place is tied and there is a sudden-death question left
+function finishGame(room) {
+  const { state } = room;
+  if (startTieBreak(room)) return;
+  state.phase = "finished";
+  state.paused = true;
+  if (state.tieBreak) state.tieBreak.pins = [];
+}
+
+// The host's Next (autopilot takes the same step); false when there is nothing to move on to
+function advance(room) {
+  const { state } = room;
+  switch (state.phase) {
+    case "revealed":
+      showLeaderboard(room);
+      return true;
+    case "leaderboard":
+      // next question, or the round summary
+      nextQuestion(room);
+      return true;
+    case "roundSummary":
+      // next round intro, or finished
+      nextRound(room);
+      return true;
+    case "tiebreak":
+      // sudden-death intro -> tie-breaker question
+      startTieBreakQuestion(room);
+      return true;
+    case "roundIntro": {
+      // the round's first question the host hasn't skipped
+      const first = nextPlayableIndex(room, state.rounds[state.roundIndex].start - 1);
+      if (first < 0) finishGame(room);
+      else startQuestion(room, first);
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+// leaderboard -> next question, or the round summary after a round's last question
+function nextQuestion(room) {
+  const { state } = room;
+  if (state.tieBreak && state.tieBreak.question) {
+    // after a sudden-death question: look for (remaining) ties again
+    state.tieBreak.question = null;
+    finishGame(room);
     return;
   }
-  startQuestion(state.qIndex + 1);
+  // skipped and already revealed questions are passed over (see NAVIGATION)
+  const next = nextPlayableIndex(room, state.qIndex);
+  if (hasRounds(state.rounds) && (next < 0 || roundIndexOf(state.rounds, next) !== state.roundIndex)) {
+    endRound(room);
+    return;
+  }
+  if (next < 0) {
+    finishGame(room);
+    return;
+  }
+  startQuestion(room, next);
+}
+
+// ------------------- ROUNDS -------------------
+// Points scored in the current round (reveal + host adjustments while a round is on);
+// a regrade passes the round of the question it changed
+function addRoundPoints(room, team, points, roundIndex = room.state.roundIndex) {
+  if (roundIndex < 0 || !points) return;
+  if (!Array.isArray(team.roundScores)) team.roundScores = [];
+  team.roundScores[roundIndex] = roundScoreOf(team, roundIndex) + points;
+}
+
+function startRound(room, index) {
+  const { state } = room;
+  const r = state.rounds[index];
+  if (!r) return finishGame(room);
+  state.phase = "roundIntro";
+  state.roundIndex = index;
+  state.paused = true;
+  console.log(`🎬 [${room.code}] Round ${index + 1}/${state.rounds.length}: ${roundLabel(state.rounds, index)} (${r.count} question(s)).`);
+}
+
+function endRound(room) {
+  const { state } = room;
+  state.phase = "roundSummary";
+  state.paused = true;
+
+  const totals = [...state.teams.values()]
+    .map(t => ({ name: t.name, points: roundScoreOf(t, state.roundIndex) }))
+    .sort((a, b) => b.points - a.points)
+    .map(x => `${x.name} ${x.points}`);
+  console.log(`📊 [${room.code}] Round ${state.roundIndex + 1} (${roundLabel(state.rounds, state.roundIndex)}) totals: ${totals.join(", ") || "no teams"}`);
+}
+
+// roundSummary -> intro of the next round with a question left to play, or finished
+function nextRound(room) {
+  const { state } = room;
+  const next = nextPlayableIndex(room, state.qIndex);
+  if (next < 0) return finishGame(room);
+  startRound(room, roundIndexOf(state.rounds, next));
 }
 
 // auto-reveal when timer hits 0
-setInterval(() => {
+function tickRoom(room) {
+  const { state } = room;
   if (state.phase !== "question") return;
   if (state.paused) return;
-  const rem = getRemainingSec();
-  if (rem <= 0) {
-    revealAnswer();
-    broadcast();
+  // a short grace after 0 lets answers tapped in time but still on the way arrive;
+  // teams with extra time that haven't answered yet keep the question open
+  const extraMs = Math.max(0, ...[...state.teams.values()].filter(t => t.lockedChoice == null).map(t => t.extraTimeMs || 0));
+  if (getRunElapsedMs(room) >= state.timeSec * 1000 + extraMs + REVEAL_GRACE_MS) {
+    appendJournal(room.code, { type: "tick" });
+    revealAnswer(room);
+    broadcast(room);
+    return;
+  }
+  // keep the saved elapsed time fresh while the clock runs
+  if (Date.now() - room.lastTimerSaveMs >= 1000) {
+    room.lastTimerSaveMs = Date.now();
+    persistState(room);
   }
-}, 200);
-
-// ------------------- TEAM JOIN / TAKEOVER LOGIC -------------------
-function findTeamByPin(pin) {
-  const p = String(pin).trim();
-  return [...state.teams.values()].find(t => t.pin === p) || null;
 }
 
-function clearPendingTakeoverForPin(pin, requesterId = null) {
-  const p = String(pin).trim();
-  const cur = pendingTakeovers.get(p);
-  if (!cur) return;
-  if (requesterId && cur.requesterId !== requesterId) return;
-  pendingTakeovers.delete(p);
+function startTicking() {
+  setInterval(() => {
+    for (const room of rooms.values()) {
+      tickRoom(room);
+      autopilotTick(room);
+    }
+  }, 200);
 }
 
-function doJoinTeam(socket, enteredPin, teamInfo) {
-  const ip = getClientIp(socket);
-  const userAgent = getUserAgent(socket);
+// ------------------- AUTOPILOT -------------------
+// Hands-free game for a host who is also the MC: the server takes the Resume / Reveal / Next steps.
+// - a new question: its clock starts after countdownSec
+// - a running question: revealed once every online team has locked (time-up reveals it anyway)
+// - revealed: the leaderboard after revealSec
+// - leaderboard, round intro / summary, sudden-death intro: the next step after leaderboardSec
+// The host's buttons keep working (a step taken by hand just moves the schedule on). Pausing holds
+// the schedule; a question the host paused stays paused. Steps taken are journaled ("autopilot").
 
-  const team = {
-    id: socket.id,
-    pin: enteredPin,
-    name: teamInfo.name,
-    avatarUrl: teamInfo.avatarUrl,
-
-    // NEW: Members list from Teams sheet. Leader is the first name.
-    members: Array.isArray(teamInfo.members) ? teamInfo.members : [],
-    leaderName: (Array.isArray(teamInfo.members) && teamInfo.members.length) ? teamInfo.members[0] : "",
+const AUTOPILOT_DEFAULTS = { countdownSec: 5, revealSec: 5, leaderboardSec: 10 };
+const AUTOPILOT_MAX_SEC = 120;
 
-    score: 0,
-    lockedChoice: null,
-    lockedAtRunMs: null,
-    lastResult: null,
-    lastPointsAwarded: 0,
+function defaultAutopilot() {
+  return { on: false, paused: false, ...AUTOPILOT_DEFAULTS };
+}
 
-    // host monitoring fields
-    ip,
-    userAgent,
-    joinedAt: Date.now(),
+function normalizeAutopilot(raw = {}) {
+  const sec = (x, fallback) => {
+    const n = Math.round(Number(x));
+    return Number.isFinite(n) ? Math.min(AUTOPILOT_MAX_SEC, Math.max(0, n)) : fallback;
+  };
+  return {
+    on: !!raw.on,
+    paused: !!raw.on && !!raw.paused,
+    countdownSec: sec(raw.countdownSec, AUTOPILOT_DEFAULTS.countdownSec),
+    revealSec: sec(raw.revealSec, AUTOPILOT_DEFAULTS.revealSec),
+    leaderboardSec: sec(raw.leaderboardSec, AUTOPILOT_DEFAULTS.leaderboardSec)
   };
+}
 
-  state.claimedPins.add(enteredPin);
-  state.teams.set(socket.id, team);
+// online teams that can answer the running question have all locked
+function allOnlineLocked(room) {
+  const { state } = room;
+  const pins = state.tieBreak && state.tieBreak.question ? state.tieBreak.pins : null;
+  const teams = [...state.teams.values()].filter(t => t.socketId && (!pins || pins.includes(t.pin)));
+  return teams.length > 0 && teams.every(t => t.lockedChoice != null);
+}
 
-  socket.emit("joined", { teamId: team.id, name: team.name, avatarUrl: team.avatarUrl });
-  broadcast();
+// What comes after the current screen, for the projector
+function autopilotLabel(room, action) {
+  const { state } = room;
+  if (action === "start") return "Question starts";
+  if (action === "reveal") return "Answer when time is up or every team has locked";
+  if (state.phase === "revealed") return "Leaderboard";
+  if (state.phase === "roundIntro" || state.phase === "tiebreak") return "Question";
+  if (state.tieBreak && state.tieBreak.question) return "Results";
+  const next = nextPlayableIndex(room, state.qIndex);
+  if (state.phase === "roundSummary") return next < 0 ? "Final results" : "Next round";
+  if (hasRounds(state.rounds) && (next < 0 || roundIndexOf(state.rounds, next) !== state.roundIndex)) return "Round summary";
+  return next < 0 ? "Final results" : "Next question";
 }
 
-function kickTeamSocket(team) {
-  if (!team) return;
+// The step for the current screen: { key, action: "start" | "reveal" | "next", at, label }, or null
+function planAutopilotStep(room, key) {
+  const { state } = room;
+  const ap = state.autopilot;
+  let action = "next";
+  let delaySec = ap.leaderboardSec;
+  if (state.phase === "question") {
+    if (isUnstarted(room)) {
+      action = "start";
+      delaySec = ap.countdownSec;
+    } else if (!state.paused) {
+      action = "reveal";
+      delaySec = null;
+    } else {
+      return null;
+    }
+  } else if (state.phase === "revealed") {
+    delaySec = ap.revealSec;
+  } else if (!["leaderboard", "roundIntro", "roundSummary", "tiebreak"].includes(state.phase)) {
+    return null;
+  }
+  return {
+    key,
+    action,
+    at: delaySec == null ? null : Date.now() + delaySec * 1000,
+    label: autopilotLabel(room, action)
+  };
+}
 
-  const s = io.sockets.sockets.get(team.id);
-  if (s) {
-    s.emit("kicked", "You were disconnected by the host.");
-    s.disconnect(true);
+// Keeps room.autopilotStep in line with the screen; called on every broadcast
+function updateAutopilotStep(room) {
+  const { state } = room;
+  const ap = state.autopilot;
+  if (!ap.on || ap.paused) {
+    room.autopilotStep = null;
+    return;
   }
+  const run = state.phase !== "question" ? "" : isUnstarted(room) ? "new" : state.paused ? "held" : "run";
+  const key = `${state.phase}:${state.qIndex}:${state.tieBreak ? state.tieBreak.used : ""}:${run}`;
+  if (room.autopilotStep && room.autopilotStep.key === key) return;
+  // a screen with nothing to do (e.g. a question the host paused) keeps an empty step
+  room.autopilotStep = planAutopilotStep(room, key) || { key, action: "", at: null, label: "" };
+}
 
-  state.claimedPins.delete(team.pin);
-  state.teams.delete(team.id);
+function autopilotForClient(room) {
+  const { state } = room;
+  const step = room.autopilotStep;
+  if (!state.autopilot.on || state.autopilot.paused || !step || !step.action) return null;
+  return { label: step.label, at: step.at };
 }
 
-// ------------------- SOCKETS -------------------
-io.on("connection", (socket) => {
-  socket.on("registerHost", () => {
-    state.hostId = socket.id;
-    socket.emit("state", publicState());
-    socket.emit("hostState", hostState());
-  });
+function runAutopilotStep(room, action) {
+  if (action === "start") resume(room);
+  else if (action === "reveal") revealAnswer(room);
+  else if (action === "next") advance(room);
+  console.log(`🛫 [${room.code}] Autopilot: ${action}.`);
+}
+
+function autopilotTick(room) {
+  const step = room.autopilotStep;
+  if (!step || !step.action) return;
+  if (step.action === "reveal" ? !allOnlineLocked(room) : Date.now() < step.at) return;
+  room.autopilotStep = null;
+  appendJournal(room.code, { type: "autopilot", action: step.action });
+  runAutopilotStep(room, step.action);
+  broadcast(room);
+}
+
+// ------------------- TIE-BREAK -------------------
+// Teams that can play sudden death: online ones (kicked and disconnected devices are offline), no bots
+function tieBreakContenders(room) {
+  return [...room.state.teams.values()].filter(t => t.socketId && !t.bot);
+}
+
+// Finds a tied podium place and puts the room on the sudden-death intro. false = no (playable) tie.
+function startTieBreak(room) {
+  const { state } = room;
+  const tie = findPodiumTie(tieBreakContenders(room));
+  if (!tie) return false;
+
+  if (!state.tieBreak) {
+    const pool = cloneDeep(room.tieBreakBank || []).map(q => shuffleChoicesForQuestion(room, q, state.shuffleChoices));
+    state.tieBreak = { pool, used: 0, nextRank: 1, pins: [], place: 0, question: null, winnerPin: "" };
+  }
+  const tb = state.tieBreak;
+  const names = tie.pins.map(pin => state.teams.get(pin).name).join(", ");
+  if (tb.used >= tb.pool.length) {
+    console.warn(`⚠️  [${room.code}] No tie-breaker questions left in ${room.tieBreakSheet}; place ${tie.place} stays shared by ${names}.`);
+    return false;
+  }
+
+  tb.pins = tie.pins;
+  tb.place = tie.place;
+  tb.winnerPin = "";
+  state.phase = "tiebreak";
+  state.paused = true;
+  console.log(`⚡ [${room.code}] Sudden death for place ${tie.place}: ${names}.`);
+  return true;
+}
+
+// tiebreak intro -> next question from the pool
+function startTieBreakQuestion(room) {
+  const { state } = room;
+  const tb = state.tieBreak;
+  tb.question = tb.pool[tb.used];
+  tb.used += 1;
+  beginQuestionRun(room);
+}
+
+// No points: the fastest correct tied team takes the place, the others stay tied for the next one
+function revealTieBreak(room, q) {
+  const { state } = room;
+  const tb = state.tieBreak;
+  const teams = [...state.teams.values()];
+  const credits = gradeTeams(room, q);
+
+  tb.winnerPin = fastestCorrect(teams, tb.pins, credits);
+  for (const t of teams) {
+    if (!tb.pins.includes(t.pin)) continue;
+    t.lastResult = t.pin === tb.winnerPin ? "correct" : ((credits.get(t.pin) || 0) >= 1 ? "too slow" : "wrong");
+    t.lastPointsAwarded = 0;
+    t.lastBreakdown = null;
+  }
+
+  const winner = state.teams.get(tb.winnerPin);
+  if (winner) {
+    winner.tieBreakRank = tb.nextRank++;
+    console.log(`🏆 [${room.code}] ${logLabel(room)}: ${winner.name} wins place ${tb.place}.`);
+  } else {
+    console.log(`⚡ [${room.code}] ${logLabel(room)}: no correct answer, place ${tb.place} is still tied.`);
+  }
+  logAnswersNow(room);
+}
+
+// ------------------- REGRADE / UNDO -------------------
+// Every reveal of a game question is kept in state.revealHistory: what each team locked (answer,
+// original lock time, power-ups), the streak it went in with and what it scored.
+// - regrade: new answer key for a revealed question; that question and every later one are scored
+//   again (a streak can change), teams get the difference, AnswerLog gets correction rows
+// - undo: takes the last reveal back; the question returns paused with the locks kept
+// Sudden-death questions are not covered.
+
+function recordReveal(room, credits) {
+  const { state } = room;
+  state.revealCount += 1;
+  const entry = {
+    qIndex: state.qIndex,
+    questionRunId: state.questionRunId,
+    reveal: state.revealCount,
+    roundIndex: state.roundIndex,
+    timeSec: state.timeSec,
+    manual: !!state.manualScoring,
+    regrades: 0,
+    teams: {}
+  };
+  for (const t of state.teams.values()) {
+    entry.teams[t.pin] = { ...lockedAnswerOf(t), streakBefore: t.streak || 0, credit: credits.get(t.pin) || 0, breakdown: null };
+  }
+  state.revealHistory.push(entry);
+  return entry;
+}
+
+function regradeError(room) {
+  const { state } = room;
+  if (state.phase === "lobby" || !state.gameQuestions) return "No game is running.";
+  if (state.tieBreak && state.tieBreak.pins.length) return "Sudden death is on; regrade after it.";
+  return "";
+}
+
+// Returns { message } or { error }
+function regradeQuestion(room, qNumber, correctRaw) {
+  const { state } = room;
+  const err = regradeError(room);
+  if (err) return { error: err };
+
+  const qIndex = Number(qNumber) - 1;
+  const from = state.revealHistory.map(h => h.qIndex).lastIndexOf(qIndex);
+  if (from === -1) return { error: `Q${qNumber} hasn't been revealed.` };
+  if (state.revealHistory[from].manual) return { error: `Q${qNumber} was scored by hand; adjust the scores instead.` };
+
+  const q = state.gameQuestions[qIndex];
+  const key = regradeKey(q, correctRaw);
+  if (key.error) return { error: `Q${qNumber}: ${key.error}` };
+  const was = formatCorrect(q);
+  const now = formatCorrect(setAnswerKey({ ...q }, key.fields));
+  if (now === was) return { error: `Q${qNumber} already has answer ${was}.` };
+  setAnswerKey(q, key.fields);
+
+  const ts = new Date().toISOString();
+  const rows = [];
+  const changedPins = new Set();
+  const streaks = new Map(); // pin -> streak after the last re-scored question
+  const latest = state.revealHistory[state.revealHistory.length - 1];
+
+  for (const h of state.revealHistory.slice(from)) {
+    const hq = state.gameQuestions[h.qIndex];
+    const profile = resolveProfile(state.scoringProfile, hq);
+    const credits = gradeAnswers(hq, new Map(Object.entries(h.teams).map(([pin, a]) => [pin, a.answer])));
+    const changed = [];
+
+    for (const [pin, a] of Object.entries(h.teams)) {
+      if (streaks.has(pin)) a.streakBefore = streaks.get(pin);
+      // hand-scored questions leave the streak alone
+      if (h.manual) {
+        streaks.set(pin, a.streakBefore);
+        continue;
+      }
+      const credit = credits.get(pin) || 0;
+      const breakdown = scoreLocked(profile, a, credit, h.timeSec);
+      streaks.set(pin, breakdown.streak);
+      const delta = breakdown.points - (a.breakdown ? a.breakdown.points : 0);
+      const resultChanged = credit !== a.credit || delta !== 0 || breakdown.streak !== (a.breakdown || {}).streak;
+      a.credit = credit;
+      a.breakdown = breakdown;
+      if (!resultChanged) continue;
+
+      const team = state.teams.get(pin);
+      if (!team) continue;
+      team.score += delta;
+      addRoundPoints(room, team, delta, h.roundIndex);
+      // the question on screen shows its new result
+      if (h === latest && h.questionRunId === state.questionRunId) {
+        team.lastResult = resultOf(credit);
+        team.lastBreakdown = breakdown;
+        team.lastPointsAwarded = breakdown.points;
+      }
+      changed.push({ team, a, credit });
+      changedPins.add(pin);
+    }
+
+    if (!changed.length) continue;
+    h.regrades += 1;
+    const correction = h.qIndex === qIndex ? `regrade: ${was} -> ${now}` : `regrade of Q${qNumber}`;
+    for (const { team, a, credit } of changed) {
+      if (team.bot) continue;
+      rows.push({ key: `${h.questionRunId}:${team.pin}:${h.reveal}:regrade${h.regrades}`, row: answerLogRow(room, {
+        ts,
+        runId: h.questionRunId,
+        qNumber: h.qIndex + 1,
+        q: hq,
+        team,
+        a,
+        credit,
+        roundScore: hasRounds(state.rounds) ? roundScoreOf(team, h.roundIndex) : "",
+        correction
+      }) });
+    }
+  }
+
+  for (const [pin, streak] of streaks) {
+    const team = state.teams.get(pin);
+    if (team) team.streak = streak;
+  }
+
+  // the corrected key goes to QuestionLog as a newer row of the same run
+  const h = state.revealHistory[from];
+  writeQuestionRow(room, `${h.questionRunId}:${h.reveal}:regrade${h.regrades}`, questionLogRow(room, {
+    ts, runId: h.questionRunId, qNumber: qIndex + 1, q
+  }));
+  writeAnswerRows(room, rows);
+  syncTotalsToTeamsSheet(room);
+
+  const scores = [...changedPins].map(pin => state.teams.get(pin)).filter(Boolean).map(t => `${t.name} ${t.score}`);
+  const message = `Q${qNumber} regraded (${was} -> ${now}): ${changedPins.size} team(s) changed.`;
+  console.log(`✏️ [${room.code}] ${message}${scores.length ? " Scores: " + scores.join(", ") : ""}`);
+  return { message };
+}
+
+function undoRevealError(room) {
+  const { state } = room;
+  if (state.phase !== "revealed" && state.phase !== "leaderboard") return "Only the question just revealed can be undone.";
+  if (state.tieBreak && state.tieBreak.question) return "Sudden-death reveals can't be undone.";
+  const last = state.revealHistory[state.revealHistory.length - 1];
+  if (!last || last.questionRunId !== state.questionRunId) return "Nothing to undo.";
+  return "";
+}
+
+// revealed/leaderboard -> question (paused), scores and streaks back to before the reveal
+function undoReveal(room) {
+  const { state } = room;
+  const err = undoRevealError(room);
+  if (err) return { error: err };
+
+  const entry = state.revealHistory.pop();
+  const q = getCurrentQuestionObj(room);
+  const ts = new Date().toISOString();
+  const rows = [];
+
+  for (const [pin, a] of Object.entries(entry.teams)) {
+    const team = state.teams.get(pin);
+    if (!team) continue;
+    const points = a.breakdown ? a.breakdown.points : 0;
+    team.score -= points;
+    addRoundPoints(room, team, -points, entry.roundIndex);
+    team.streak = a.streakBefore;
+    team.lastResult = null;
+    team.lastPointsAwarded = 0;
+    team.lastBreakdown = null;
+    if (team.bot) continue;
+    rows.push({ key: `${entry.questionRunId}:${pin}:${entry.reveal}:undo`, row: answerLogRow(room, {
+      ts,
+      runId: entry.questionRunId,
+      qNumber: entry.qIndex + 1,
+      q,
+      team,
+      a: { ...a, breakdown: null },
+      credit: null,
+      roundScore: hasRounds(state.rounds) ? roundScoreOf(team, entry.roundIndex) : "",
+      correction: "reveal undone"
+    }) });
+  }
+
+  // back to a paused question; the clock keeps the time it had used
+  state.phase = "question";
+  state.paused = true;
+  state.startedAtMs = 0;
+
+  writeAnswerRows(room, rows);
+  syncTotalsToTeamsSheet(room);
+  const kept = Object.values(entry.teams).filter(a => a.answer != null).length;
+  const message = `${logLabel(room)} reveal undone; the question is paused with ${kept} answer(s) kept.`;
+  console.log(`↩️ [${room.code}] ${message}`);
+  return { message };
+}
+
+// ------------------- NAVIGATION -------------------
+// The host can leave the normal order of the game:
+// - jump: play any question that hasn't been revealed (from a reveal, leaderboard, slide or the end)
+// - skip: the current or an upcoming question is not played; no scoring, QuestionLog row "skipped"
+// - restart: the current question starts over (new run id); the old run is logged "restarted"
+// - reorder: the questions still to come change places (within their round)
+// Revealed questions never move and keep their number, so scores, regrades and the logs stay consistent.
+// Power-ups spent on a skipped / restarted question are given back. Not during sudden death.
+
+function revealedIndexes(room) {
+  return new Set(room.state.revealHistory.map(h => h.qIndex));
+}
+
+// "revealed" | "skipped" | "current" | "upcoming"
+function questionStatus(room, index, revealed = revealedIndexes(room)) {
+  const { state } = room;
+  if (revealed.has(index)) return "revealed";
+  if (state.skipped.includes(index)) return "skipped";
+  if (index === state.qIndex && state.phase === "question") return "current";
+  return "upcoming";
+}
+
+// first question after `after` still to be played, -1 when there is none
+function nextPlayableIndex(room, after) {
+  const { state } = room;
+  const total = state.gameQuestions ? state.gameQuestions.length : 0;
+  const revealed = revealedIndexes(room);
+  for (let i = Math.max(0, after + 1); i < total; i++) {
+    if (!revealed.has(i) && !state.skipped.includes(i)) return i;
+  }
+  return -1;
+}
+
+function navigationError(room) {
+  const { state } = room;
+  if (!state.gameQuestions || state.phase === "lobby") return "Start the game first.";
+  if (state.tieBreak) return "Not possible once sudden death has started.";
+  return "";
+}
+
+// the current question hasn't run yet (no clock, no log row)
+function isUnstarted(room) {
+  const { state } = room;
+  return state.phase === "question" && state.paused && !state.questionLogged && !state.accumulatedRunMs;
+}
+
+// Ends the current run without a reveal: locks dropped, power-ups given back
+function dropQuestionRun(room) {
+  const { state } = room;
+  if (state.startedAtMs) state.accumulatedRunMs += Date.now() - state.startedAtMs;
+  state.startedAtMs = 0;
+  state.paused = true;
+  for (const team of state.teams.values()) {
+    for (const name of team.powerupsThisQ || []) {
+      // double or nothing was armed before the question: it waits for the next one played
+      if (name === "double") team.doubleArmed = true;
+      else if (team.powerupsUsed[name]) team.powerupsUsed[name] -= 1;
+    }
+    team.powerupsThisQ = [];
+    team.hiddenChoices = [];
+    team.extraTimeMs = 0;
+    team.lockedChoice = null;
+    team.lockedAtRunMs = null;
+    team.lockLatencyMs = 0;
+  }
+}
+
+// QuestionLog row for a question that ended without a reveal
+function logQuestionStatus(room, index, status) {
+  const { state } = room;
+  const current = index === state.qIndex && state.phase === "question";
+  const runId = current && state.questionRunId ? state.questionRunId : `${state.gameId}-Q${index + 1}-${Date.now()}`;
+  writeQuestionRow(room, `${runId}:${status}`, questionLogRow(room, {
+    ts: new Date().toISOString(),
+    runId,
+    qNumber: index + 1,
+    q: state.gameQuestions[index],
+    status
+  }));
+}
+
+function indexOfNumber(room, qNumber) {
+  const n = Number(qNumber);
+  const total = room.state.gameQuestions ? room.state.gameQuestions.length : 0;
+  return Number.isInteger(n) && n >= 1 && n <= total ? n - 1 : -1;
+}
+
+function jumpToQuestion(room, qNumber) {
+  const { state } = room;
+  const err = navigationError(room);
+  if (err) return { error: err };
+  const index = indexOfNumber(room, qNumber);
+  if (index < 0) return { error: `There is no Q${qNumber}.` };
+  const status = questionStatus(room, index);
+  if (status === "revealed") return { error: `Q${qNumber} was already revealed. Use Undo or Regrade to change it.` };
+  if (status === "current") return { error: `Q${qNumber} is already on.` };
+  if (state.phase === "question") {
+    if (!isUnstarted(room)) return { error: "Skip or reveal the current question first." };
+    dropQuestionRun(room);
+  }
+
+  state.skipped = state.skipped.filter(i => i !== index);
+  startQuestion(room, index);
+  console.log(`🧭 [${room.code}] Jumped to Q${index + 1}.`);
+  return { message: `Jumped to Q${index + 1}.` };
+}
+
+// The current question moves on to the next one; an upcoming one is passed over later
+function skipQuestion(room, qNumber) {
+  const { state } = room;
+  const err = navigationError(room);
+  if (err) return { error: err };
+  const index = qNumber == null ? state.qIndex : indexOfNumber(room, qNumber);
+  if (index < 0) return { error: `There is no Q${qNumber}.` };
+  const status = questionStatus(room, index);
+  if (status === "revealed") return { error: `Q${index + 1} was already revealed.` };
+  if (status === "skipped") return { error: `Q${index + 1} is already skipped.` };
+
+  logQuestionStatus(room, index, "skipped");
+  state.skipped.push(index);
+  console.log(`⏭️  [${room.code}] Skipped Q${index + 1}.`);
+  if (status === "current") {
+    dropQuestionRun(room);
+    nextQuestion(room);
+  }
+  return { message: `Q${index + 1} skipped (not scored).` };
+}
+
+// A skipped question goes back into the game
+function unskipQuestion(room, qNumber) {
+  const { state } = room;
+  const err = navigationError(room);
+  if (err) return { error: err };
+  const index = indexOfNumber(room, qNumber);
+  if (!state.skipped.includes(index)) return { error: `Q${qNumber} is not skipped.` };
+  state.skipped = state.skipped.filter(i => i !== index);
+  console.log(`↩️  [${room.code}] Q${index + 1} is back in the game.`);
+  return { message: `Q${index + 1} is back in the game.` };
+}
 
-  socket.on("registerProjector", () => {
-    state.projectorIds.add(socket.id);
-    socket.emit("state", publicState());
+function restartQuestion(room) {
+  const { state } = room;
+  const err = navigationError(room);
+  if (err) return { error: err };
+  if (state.phase !== "question") return { error: "Only a question that hasn't been revealed can be restarted." };
+
+  if (state.questionLogged) logQuestionStatus(room, state.qIndex, "restarted");
+  dropQuestionRun(room);
+  beginQuestionRun(room);
+  console.log(`🔁 [${room.code}] Restarted Q${state.qIndex + 1}.`);
+  return { message: `Q${state.qIndex + 1} restarted.` };
+}
+
+/**
+ * New order for the questions after the current one.
+ *   order   their qNumbers (positions now) in the new order
+ * They take the same positions between them; a question stays in its round.
+ */
+function reorderQuestions(room, order) {
+  const { state } = room;
+  const err = navigationError(room);
+  if (err) return { error: err };
+
+  const revealed = revealedIndexes(room);
+  // what comes after the current question; skipped ones keep the number they were logged with,
+  // earlier unplayed ones stay reachable with jump
+  const movable = state.gameQuestions.map((_, i) => i)
+    .filter(i => i > state.qIndex && !revealed.has(i) && !state.skipped.includes(i));
+  const from = Array.isArray(order) ? order.map(n => indexOfNumber(room, n)) : [];
+  const same = from.length === movable.length && [...from].sort((a, b) => a - b).every((i, k) => i === movable[k]);
+  if (!same) return { error: "The new order must list every question still to come, once." };
+
+  const roundOf = (i) => state.gameQuestions[i].round || "";
+  if (from.some((i, k) => roundOf(i) !== roundOf(movable[k]))) {
+    return { error: "Questions can only be reordered within their round." };
+  }
+
+  const questions = [...state.gameQuestions];
+  from.forEach((i, k) => { questions[movable[k]] = state.gameQuestions[i]; });
+  state.gameQuestions = questions;
+  console.log(`🔀 [${room.code}] Reordered ${movable.length} upcoming question(s).`);
+  return { message: "Upcoming questions reordered." };
+}
+
+// Host panel question list
+function questionListForHost(room) {
+  const { state } = room;
+  if (!state.gameQuestions || state.phase === "lobby") return [];
+  const revealed = revealedIndexes(room);
+  return state.gameQuestions.map((q, i) => ({
+    qNumber: i + 1,
+    text: q.text || "",
+    type: q.type || "mc",
+    round: q.round || "",
+    status: questionStatus(room, i, revealed),
+    // can be dragged (see reorderQuestions)
+    movable: i > state.qIndex && !revealed.has(i) && !state.skipped.includes(i)
+  }));
+}
+
+// ------------------- POWER-UPS -------------------
+// Applies a power-up for a team; returns an error message when the rules say no
+function usePowerup(room, team, name) {
+  const { state } = room;
+  const total = state.gameQuestions ? state.gameQuestions.length : room.questionBank.length;
+  const q = getCurrentQuestionObj(room);
+  const err = powerupError(name, team, {
+    phase: state.phase,
+    tieBreak: !!(state.tieBreak && state.tieBreak.pins.length),
+    hasNextQuestion: state.phase === "lobby" ? total > 0 : nextPlayableIndex(room, state.qIndex) >= 0,
+    q
+  });
+  if (err) return err;
+
+  team.powerupsUsed[name] = (team.powerupsUsed[name] || 0) + 1;
+  if (name === "fifty") team.hiddenChoices = pickHiddenChoices(q, roomShuffle(room));
+  if (name === "time") team.extraTimeMs = (team.extraTimeMs || 0) + EXTRA_TIME_SEC * 1000;
+  if (name === "double") team.doubleArmed = true;
+  else team.powerupsThisQ.push(name);
+
+  const label = powerupLabel(name);
+  console.log(`🎁 [${room.code}] ${team.name} used ${label}.`);
+  io.to(roomChannel(room)).emit("powerupUsed", { teamName: team.name, name, label });
+  return "";
+}
+
+// ------------------- TEAM JOIN / TAKEOVER LOGIC -------------------
+function findTeamByPin(room, pin) {
+  const { state } = room;
+  return state.teams.get(String(pin).trim()) || null;
+}
+
+// The team this socket is logged in as (null if none)
+function teamOfSocket(room, socket) {
+  const { state } = room;
+  const team = state.teams.get(socket.data.teamPin);
+  return (team && team.socketId === socket.id) ? team : null;
+}
+
+function clearPendingTakeoverForPin(room, pin, requesterId = null) {
+  const p = String(pin).trim();
+  const cur = room.pendingTakeovers.get(p);
+  if (!cur) return;
+  if (requesterId && cur.requesterId !== requesterId) return;
+  room.pendingTakeovers.delete(p);
+}
+
+function makeTeam(teamInfo) {
+  return {
+    id: teamInfo.pin,
+    pin: teamInfo.pin,
+    name: teamInfo.name,
+    avatarUrl: teamInfo.avatarUrl,
+
+    // NEW: Members list from Teams sheet. Leader is the first name.
+    members: Array.isArray(teamInfo.members) ? teamInfo.members : [],
+    leaderName: (Array.isArray(teamInfo.members) && teamInfo.members.length) ? teamInfo.members[0] : "",
+    bot: !!teamInfo.bot,   // simulated team (bots.js): never written to the sheets
+
+    score: 0,
+    lockedChoice: null,
+    lockedAtRunMs: null,
+    lockLatencyMs: 0,      // ms taken off the arrival time of the last lock (clock_sync.js)
+    lastResult: null,
+    lastPointsAwarded: 0,
+    lastBreakdown: null,   // scoring.js scoreAnswer() result for the last revealed question
+    streak: 0,             // consecutive fully correct answers
+    roundScores: [],       // points per round (index = state.roundIndex), see rounds.js
+    tieBreakRank: null,    // set when the team wins a sudden-death question (lower = better)
+
+    // power-ups (powerups.js); limits from the Teams sheet, defaults from POWERUP_LIMITS
+    powerupLimits: teamInfo.powerupLimits || null,
+    powerupsUsed: {},      // name -> uses this game
+    powerupsThisQ: [],     // used on the current question (AnswerLog)
+    hiddenChoices: [],     // 50:50 on the current question
+    doubleArmed: false,    // double or nothing waiting for the next question
+    extraTimeMs: 0,        // extra time on the current question
+
+    // device binding: socketId is null while the team is disconnected;
+    // resumeToken lets the same device log back in without host approval
+    socketId: null,
+    resumeToken: makeResumeToken(),
+
+    // host monitoring fields
+    ip: "",
+    userAgent: "",
+    joinedAt: 0,
+    disconnectedAt: 0,
+  };
+}
+
+// Binds a device to a team. Any progress the team already has (score, lock, last result) is kept.
+function doJoinTeam(room, socket, enteredPin, teamInfo) {
+  const { state } = room;
+  let team = state.teams.get(enteredPin);
+  if (!team) {
+    team = makeTeam(teamInfo);
+    state.teams.set(enteredPin, team);
+  }
+
+  team.socketId = socket.id;
+  team.ip = getClientIp(socket);
+  team.userAgent = getUserAgent(socket);
+  team.joinedAt = Date.now();
+  team.disconnectedAt = 0;
+  socket.data.teamPin = enteredPin;
+
+  socket.emit("joined", {
+    roomCode: room.code,
+    teamId: team.id,
+    pin: team.pin,
+    name: team.name,
+    avatarUrl: team.avatarUrl,
+    resumeToken: team.resumeToken,
+    score: team.score,
+    lockedChoice: team.lockedChoice,
+    lastResult: team.lastResult
+  });
+  broadcast(room);
+}
+
+// Logs the team's device out. The team keeps its progress; the old device can't resume.
+function kickTeamSocket(room, team) {
+  if (!team) return;
+
+  const s = team.socketId ? io.sockets.sockets.get(team.socketId) : null;
+  if (s) {
+    s.data.teamPin = null;
+    s.emit("kicked", "You were disconnected by the host.");
+    s.disconnect(true);
+  }
+
+  team.socketId = null;
+  team.disconnectedAt = Date.now();
+  team.resumeToken = makeResumeToken();
+}
+
+// ------------------- RELOAD TEAMS / QUESTIONS -------------------
+// Teams a reload keeps although the tab doesn't have them: bots, and registered teams whose row
+// hasn't been written yet
+function keptOnReload(room, fresh) {
+  const pins = new Set(fresh.teamRegistry.map(t => t.pin));
+  return room.teamRegistry.filter(t => t.bot || (t.selfRegistered && !pins.has(t.pin)));
+}
+
+// Step 1: read the tabs again and show the host what would change
+async function previewReload(room) {
+  const fresh = await fetchRoomData(room);
+  const kept = keptOnReload(room, fresh);
+  const diff = {
+    teams: diffTeams(room.teamRegistry.filter(t => !kept.includes(t)), fresh.teamRegistry),
+    questions: diffQuestions(room.questionBank, fresh.questionBank),
+    tieBreakers: diffQuestions(room.tieBreakBank, fresh.tieBreakBank),
+    settings: diffSettings(room.settings, fresh.settings)
+  };
+  diff.hasChanges = hasChanges(diff);
+  room.pendingReload = { ...fresh, diff, loadedAt: Date.now() };
+  return room.pendingReload;
+}
+
+// Step 2: swap in the previewed data. Only in the lobby: a running game keeps the
+// question list it started with, and team scores/devices are tied to the current PINs.
+function applyReload(room) {
+  const { state } = room;
+  const pending = room.pendingReload;
+  if (!pending) return { error: "Nothing to apply. Check for changes first." };
+  if (state.phase !== "lobby") return { error: "Reload is only possible in the lobby. Reset the game first." };
+
+  appendJournal(room.code, { type: "reload", data: roomData(pending), diff: pending.diff });
+  // bots aren't in the Teams tab; they stay until the host removes them
+  room.teamRegistry = [...pending.teamRegistry, ...keptOnReload(room, pending)];
+  room.questionBank = pending.questionBank;
+  room.tieBreakBank = pending.tieBreakBank;
+  // journals written before the Settings tab have none
+  if (pending.settings) applySettings(room, pending.settings);
+  room.dataReport = pending.report;
+  room.pendingReload = null;
+  logDataReport(room, pending.report);
+
+  // teams already logged in: pick up renames, drop PINs that were removed
+  for (const team of [...state.teams.values()]) {
+    const info = room.teamRegistry.find(t => t.pin === team.pin);
+    if (info) {
+      const fresh = makeTeam(info);
+      Object.assign(team, {
+        name: fresh.name,
+        avatarUrl: fresh.avatarUrl,
+        members: fresh.members,
+        leaderName: fresh.leaderName,
+        powerupLimits: fresh.powerupLimits
+      });
+      continue;
+    }
+
+    const s = team.socketId ? io.sockets.sockets.get(team.socketId) : null;
+    if (s) {
+      s.data.teamPin = null;
+      s.emit("kicked", "This team code was removed by the host.");
+    }
+    clearPendingTakeoverForPin(room, team.pin);
+    state.teams.delete(team.pin);
+  }
+
+  const { teams, questions, settings } = pending.diff;
+  console.log(`♻️  [${room.code}] Reloaded ${room.teamRegistry.length} teams (+${teams.added.length} ~${teams.changed.length} -${teams.removed.length}) and ${room.questionBank.length} questions (+${questions.added.length} ~${questions.changed.length} -${questions.removed.length})${settings && settings.changed.length ? `; settings changed: ${settings.changed.map(c => c.key).join(", ")}` : ""}.`);
+  broadcast(room);
+  return { ok: true, diff: pending.diff, report: pending.report };
+}
+
+// ------------------- REGISTRATION -------------------
+// Open registration (host panel toggle, lobby only): a device asks for a new team, the host
+// approves it and the team gets a generated PIN. The Teams row goes through the write
+// queue like the scores; the device then joins with its PIN like any other team.
+
+// name already used by a team, or by another device's waiting request
+function teamNameTaken(room, name, requesterId = null) {
+  return room.teamRegistry.some(t => sameName(t.name, name)) ||
+    [...room.pendingRegistrations.values()].some(r => r.requesterId !== requesterId && sameName(r.name, name));
+}
+
+// raw: { name, members, avatar } from the team page; one waiting request per device (a new one replaces it)
+function requestRegistration(room, socket, raw) {
+  const { state } = room;
+  if (!state.registrationOpen || state.phase !== "lobby") return { error: "Registration is closed. Ask the host for a team code." };
+
+  const reg = normalizeRegistration(raw);
+  if (reg.error) return reg;
+  if (teamNameTaken(room, reg.name, socket.id)) return { error: `There is already a team called "${reg.name}". Pick another name.` };
+
+  const mine = [...room.pendingRegistrations.values()].find(r => r.requesterId === socket.id);
+  if (!mine && room.pendingRegistrations.size >= MAX_PENDING) {
+    return { error: "Too many registrations are waiting for the host. Try again in a minute." };
+  }
+
+  attachToRoom(socket, room);
+  const id = mine ? mine.id : crypto.randomBytes(6).toString("hex");
+  room.pendingRegistrations.set(id, {
+    id,
+    requesterId: socket.id,
+    name: reg.name,
+    members: reg.members,
+    avatar: reg.avatar,
+    requestedAt: Date.now(),
+    ip: getClientIp(socket),
+    userAgent: getUserAgent(socket)
+  });
+  console.log(`📝 [${room.code}] Registration request for "${reg.name}" waiting for the host.`);
+  return { id };
+}
+
+function approveRegistration(room, id) {
+  const { state } = room;
+  const req = room.pendingRegistrations.get(id);
+  if (!req) return { error: "That registration request is gone (the device left or it was already handled)." };
+  if (state.phase !== "lobby") return { error: "New teams can only be approved in the lobby." };
+  if (teamNameTaken(room, req.name, req.requesterId)) return { error: `There is already a team called "${req.name}". Reject this request.` };
+
+  const pin = generatePin(new Set(room.teamRegistry.map(t => t.pin)));
+  let avatarUrl = "";
+  if (req.avatar) {
+    try {
+      avatarUrl = saveAvatar(pin, req.avatar);
+    } catch (err) {
+      console.error(`❌ [${room.code}] Photo for "${req.name}" could not be saved:`, err.message || err);
+    }
+  }
+
+  const info = { pin, name: req.name, avatarUrl, members: req.members, powerupLimits: null, selfRegistered: true };
+  room.teamRegistry.push(info);
+  room.pendingRegistrations.delete(id);
+  appendJournal(room.code, { type: "registered", team: info });
+  writeTeamRow(room, { pin, name: info.name, avatarUrl, members: info.members });
+  console.log(`📝 [${room.code}] Team "${info.name}" registered with PIN ${pin}; Teams row queued${writeTarget(room)}.`);
+  return { team: info, requesterId: req.requesterId };
+}
+
+function rejectRegistration(room, id) {
+  const req = room.pendingRegistrations.get(id);
+  if (!req) return { error: "That registration request is gone (the device left or it was already handled)." };
+  room.pendingRegistrations.delete(id);
+  console.log(`📝 [${room.code}] Registration for "${req.name}" rejected.`);
+  return { requesterId: req.requesterId };
+}
+
+// ------------------- BOTS -------------------
+// Simulated teams (bots.js) get BOT<n> PINs that exist only in memory: they are never written to
+// the sheets and are gone after a restart or "Remove bots".
+const MAX_BOTS = Math.max(1, Number(process.env.MAX_BOTS) || 200);
+
+function botCount(room) {
+  return room.teamRegistry.filter(t => t.bot).length;
+}
+
+function addBotTeams(room, count) {
+  const taken = new Set(room.teamRegistry.map(t => t.pin));
+  const added = [];
+  while (added.length < count) {
+    room.botSeq += 1;
+    const pin = `BOT${room.botSeq}`;
+    if (taken.has(pin)) continue;
+    added.push({ pin, name: `Bot ${room.botSeq}`, avatarUrl: "", members: [], powerupLimits: null, bot: true });
+  }
+  room.teamRegistry.push(...added);
+  appendJournal(room.code, { type: "bots", added });
+  return added;
+}
+
+// Bots played by this server connect to it like any device
+function startRoomBots(room, pins, options) {
+  if (!room.bots) {
+    room.bots = createFleet({
+      url: process.env.BOTS_URL || `http://127.0.0.1:${process.env.PORT || 3000}`,
+      room: room.code,
+      // the running question with its key, so a bot is right `accuracy` of the time
+      answerKey: (q) => {
+        const cur = getCurrentQuestionObj(room);
+        return cur && q && cur.text === q.text ? cur : null;
+      },
+      log: (msg) => console.log(`🤖 [${room.code}] ${msg}`)
+    });
+  }
+  room.bots.add(pins, options);
+}
+
+// pins default to every bot in the room
+function removeBotTeams(room, pins = room.teamRegistry.filter(t => t.bot).map(t => t.pin)) {
+  const { state } = room;
+  if (room.bots) room.bots.stop(pins);
+  room.teamRegistry = room.teamRegistry.filter(t => !(t.bot && pins.includes(t.pin)));
+  for (const pin of pins) {
+    const team = state.teams.get(pin);
+    if (!team) continue;
+    kickTeamSocket(room, team);
+    clearPendingTakeoverForPin(room, pin);
+    state.teams.delete(pin);
+  }
+  appendJournal(room.code, { type: "bots", removed: pins });
+  return pins;
+}
+
+// ------------------- HOST ROLES -------------------
+function claimHostRole(room, socket, token, role) {
+  const { state } = room;
+  appendJournal(room.code, { type: "role", socket: socket.id, role });
+  attachToRoom(socket, room);
+
+  if (role === "host") {
+    const prev = state.hostId && state.hostId !== socket.id ? io.sockets.sockets.get(state.hostId) : null;
+    if (prev) prev.emit("hostAuthError", "Host panel was opened on another device.");
+    state.cohostIds.delete(socket.id);
+    state.hostId = socket.id;
+  } else {
+    if (isHost(room, socket)) state.hostId = null;
+    state.cohostIds.add(socket.id);
+  }
+
+  socket.emit("hostAuthed", { token, role, roomCode: room.code });
+  socket.emit("state", publicState(room));
+  socket.emit("hostState", hostState(room));
+}
+
+// ------------------- HTTP API -------------------
+// Host token (from hostAuthed) in "Authorization: Bearer <token>", "x-host-token" or ?token= (links)
+function hostTokenFromReq(req) {
+  const auth = String(req.get("authorization") || "");
+  if (auth.toLowerCase().startsWith("bearer ")) return auth.slice(7).trim();
+  return String(req.get("x-host-token") || req.query.token || "").trim();
+}
+
+function isHostRequest(req) {
+  const session = getSession(hostTokenFromReq(req));
+  return !!session && session.role === "host";
+}
+
+function requireHostToken(req, res, next) {
+  if (!isHostRequest(req)) return res.status(401).json({ error: "Host token required." });
+
+  const room = getRoom(req.params.code);
+  if (!room) return res.status(404).json({ error: `Room ${normalizeRoomCode(req.params.code)} does not exist.` });
+  req.room = room;
+  next();
+}
+
+// GET: what a reload would change. POST: reload and apply (lobby only).
+app.get("/api/rooms/:code/reload", requireHostToken, async (req, res) => {
+  try {
+    const { diff, report, loadedAt } = await previewReload(req.room);
+    res.json({ roomCode: req.room.code, phase: req.room.state.phase, diff, report, loadedAt });
+  } catch (err) {
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+app.post("/api/rooms/:code/reload", requireHostToken, async (req, res) => {
+  const room = req.room;
+  if (room.state.phase !== "lobby") {
+    return res.status(409).json({ error: "Reload is only possible in the lobby. Reset the game first." });
+  }
+  try {
+    await previewReload(room);
+    const result = applyReload(room);
+    if (result.error) return res.status(409).json(result);
+    res.json({ roomCode: room.code, ...result });
+  } catch (err) {
+    res.status(500).json({ error: String(err.message || err) });
+  }
+});
+
+// Post-game reports (host only; the pages keep ?token= on their links)
+function requireHostPage(req, res, next) {
+  if (!isHostRequest(req)) return res.status(401).type("text").send("Host login required: open the report from the host panel.");
+  req.tokenQuery = req.query.token ? `?token=${encodeURIComponent(req.query.token)}` : "";
+  next();
+}
+
+// Photo of a waiting registration, for the host panel (host only: it's personal data)
+app.get("/api/rooms/:code/registrations/:id/photo", (req, res) => {
+  if (!isHostRequest(req)) return res.status(401).type("text").send("Host token required.");
+  const room = getRoom(req.params.code);
+  const reg = room && room.pendingRegistrations.get(req.params.id);
+  if (!reg || !reg.avatar) return res.status(404).type("text").send("No photo for this registration.");
+  res.set("Cache-Control", "private, max-age=600");
+  res.type(reg.avatar.ext).send(reg.avatar.data);
+});
+
+async function loadReport(req, res) {
+  await flushWriteQueue(); // include the last question's rows if they are still queued
+  const report = await buildGameReport(req.params.gameId);
+  if (!report) res.status(404).type("text").send(`No logged questions for game ${req.params.gameId}.`);
+  return report;
+}
+
+function sendCsv(res, filename, csv) {
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send("\uFEFF" + csv); // BOM so Excel reads Vietnamese names correctly
+}
+
+app.get("/reports", requireHostPage, async (req, res) => {
+  try {
+    res.send(renderGameList(await listGames(), req.tokenQuery));
+  } catch (err) {
+    res.status(500).type("text").send(`Could not read the logs: ${err.message || err}`);
+  }
+});
+
+app.get("/reports/:gameId", requireHostPage, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (report) res.send(renderReportHtml(report, req.tokenQuery));
+  } catch (err) {
+    res.status(500).type("text").send(`Could not build the report: ${err.message || err}`);
+  }
+});
+
+app.get("/reports/:gameId/questions.csv", requireHostPage, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (report) sendCsv(res, `questions-${report.gameId}.csv`, questionsCsv(report));
+  } catch (err) {
+    res.status(500).type("text").send(`Could not build the report: ${err.message || err}`);
+  }
+});
+
+app.get("/reports/:gameId/teams.csv", requireHostPage, async (req, res) => {
+  try {
+    const report = await loadReport(req, res);
+    if (report) sendCsv(res, `teams-${report.gameId}.csv`, teamsCsv(report));
+  } catch (err) {
+    res.status(500).type("text").send(`Could not build the report: ${err.message || err}`);
+  }
+});
+
+// ------------------- SOCKETS -------------------
+io.on("connection", onConnection);
+
+function logHandlerError(socket, event, err) {
+  const room = roomOf(socket);
+  console.error(`❌ [${room ? room.code : "-"}] ${event} from ${socket.id} failed:`, (err && err.stack) || err);
+}
+
+function onConnection(socket) {
+  // every command is journaled right before its handler runs, with the clock reading the handler sees
+  // a handler that throws (bad payload, bug) is logged instead of taking the connection's handler down
+  const on = (event, handler) => socket.on(event, (...args) => {
+    try {
+      journalCommand(socket, event, args);
+      const result = handler(...args);
+      if (result && typeof result.catch === "function") result.catch(err => logHandlerError(socket, event, err));
+      return result;
+    } catch (err) {
+      logHandlerError(socket, event, err);
+    }
+  });
+
+  // Pages say which room they belong to in the connection query (?room=CODE); blank = default room
+  const initialCode = String(socket.handshake.query.room || "");
+  const initialRoom = getRoom(initialCode);
+  if (initialRoom) {
+    appendJournal(initialRoom.code, { type: "connect", socket: socket.id, room: initialCode, ip: getClientIp(socket), userAgent: getUserAgent(socket) });
+    attachToRoom(socket, initialRoom);
+  } else {
+    socket.emit("roomError", `Unknown room code: ${normalizeRoomCode(initialCode)}`);
+  }
+
+
+  // Host login: secret -> session token. The page keeps the token to reclaim the role
+  // after a reload/disconnect, so nobody else can grab it in the meantime.
+  // A host (not a co-host) can open a new room by giving a new code + its questions/teams tabs.
+  on("hostLogin", async ({ secret, room: code, questionsSheet, teamsSheet } = {}) => {
+    if (!isLoginConfigured()) return socket.emit("hostAuthError", "Host login is turned off: HOST_SECRET is not set on the server.");
+    const role = roleForSecret(secret);
+    if (!role) return socket.emit("hostAuthError", "Wrong host password.");
+
+    let room = getRoom(code);
+    if (!room) {
+      if (role !== "host") return socket.emit("hostAuthError", "Unknown room code.");
+      try {
+        room = await createRoom({ code, questionsSheet, teamsSheet });
+        console.log(`🏠 Room ${room.code} opened (${room.questionsSheet} / ${room.teamsSheet}).`);
+      } catch (err) {
+        return socket.emit("hostAuthError", `Could not open room: ${err.message || err}`);
+      }
+    }
+
+    claimHostRole(room, socket, createSession(role), role);
+  });
+
+  on("registerHost", ({ token, room: code } = {}) => {
+    const session = getSession(token);
+    if (!session) return socket.emit("hostAuthError", "Please log in as host.");
+    const room = getRoom(code);
+    if (!room) return socket.emit("hostAuthError", "Unknown room code.");
+    claimHostRole(room, socket, token, session.role);
+  });
+
+  on("hostLogout", ({ token } = {}) => {
+    endSession(token);
+    const room = roomOf(socket);
+    if (room) {
+      if (isHost(room, socket)) room.state.hostId = null;
+      room.state.cohostIds.delete(socket.id);
+    }
+    socket.emit("hostAuthError", "Logged out.");
+  });
+
+  on("registerProjector", ({ room: code } = {}) => {
+    const room = getRoom(code);
+    if (!room) return socket.emit("roomError", `Unknown room code: ${normalizeRoomCode(code)}`);
+    attachToRoom(socket, room);
+    room.state.projectorIds.add(socket.id);
+    socket.emit("state", publicState(room));
   });
 
   // Team login by PIN (single device)
-  socket.on("joinTeam", ({ pin }) => {
+  on("joinTeam", ({ pin, room: code } = {}) => {
+    const current = roomOf(socket);
+    if (current && teamOfSocket(current, socket)) {
+      return socket.emit("joinError", "This device is already joined.");
+    }
+
+    const room = getRoom(code);
+    if (!room) return socket.emit("joinError", "Invalid room code.");
+    const { state } = room;
+
     const entered = String(pin || "").trim();
-    const teamInfo = TEAM_REGISTRY.find(t => t.pin === entered);
+    const teamInfo = room.teamRegistry.find(t => t.pin === entered);
     if (!teamInfo) return socket.emit("joinError", "Invalid team code.");
 
-    if (state.teams.has(socket.id)) {
-      return socket.emit("joinError", "This device is already joined.");
-    }
+    attachToRoom(socket, room);
 
     // If already claimed: create takeover request instead of silently failing
-    if (state.claimedPins.has(entered)) {
+    const existing = state.teams.get(entered);
+    if (existing && existing.socketId) {
       const ip = getClientIp(socket);
       const userAgent = getUserAgent(socket);
 
-      pendingTakeovers.set(entered, {
+      room.pendingTakeovers.set(entered, {
         requesterId: socket.id,
         requestedAt: Date.now(),
         ip,
@@ -528,88 +2480,107 @@ io.on("connection", (socket) => {
         pin: entered
       });
 
-      // Notify host
-      if (state.hostId) {
-        io.to(state.hostId).emit("takeoverPending", {
+      // Notify host + co-hosts
+      const mods = moderatorIds(room);
+      if (mods.length) {
+        io.to(mods).emit("takeoverPending", {
           pin: entered,
           requesterId: socket.id,
           requestedAt: Date.now(),
           ip,
           userAgent
         });
-        io.to(state.hostId).emit("hostState", hostState());
+        io.to(mods).emit("hostState", hostState(room));
       }
 
       return;
     }
 
-    // Normal join (first device)
-    doJoinTeam(socket, entered, teamInfo);
+    // Normal join (first device, or the team's device is disconnected)
+    doJoinTeam(room, socket, entered, teamInfo);
+  });
+
+  // Device reconnecting with the token it got when it joined
+  on("resumeTeam", ({ pin, token, room: code } = {}) => {
+    const room = getRoom(code);
+    const team = room ? findTeamByPin(room, pin || "") : null;
+    if (!team || !token || team.resumeToken !== String(token)) {
+      return socket.emit("resumeFailed", "Session expired. Enter your team code again.");
+    }
+    if (teamOfSocket(room, socket)) return;
+
+    attachToRoom(socket, room);
+
+    // the old connection of this same device may not have timed out yet
+    const old = team.socketId ? io.sockets.sockets.get(team.socketId) : null;
+    if (old && old.id !== socket.id) {
+      old.data.teamPin = null;
+      old.disconnect(true);
+    }
+
+    clearPendingTakeoverForPin(room, team.pin);
+    doJoinTeam(room, socket, team.pin, team);
   });
 
   // Host can kick a team device (free the PIN)
-  socket.on("hostKickTeam", ({ teamId, pin }) => {
-    if (!isHost(socket)) return;
+  on("hostKickTeam", ({ teamId, pin } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
 
     let target = null;
     if (teamId) target = state.teams.get(teamId);
-    else if (pin) target = findTeamByPin(pin);
+    else if (pin) target = findTeamByPin(room, pin);
 
     if (!target) return;
 
     // Also clear any pending takeover request for this pin
-    clearPendingTakeoverForPin(target.pin);
+    clearPendingTakeoverForPin(room, target.pin);
 
-    kickTeamSocket(target);
-    broadcast();
+    kickTeamSocket(room, target);
+    broadcast(room);
   });
 
   // Host approves takeover: kick current device and allow requester to join
-  socket.on("hostApproveTakeover", ({ pin }) => {
-    if (!isHost(socket)) return;
+  on("hostApproveTakeover", ({ pin } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isModerator(room, socket)) return;
 
     const p = String(pin || "").trim();
-    const req = pendingTakeovers.get(p);
+    const req = room.pendingTakeovers.get(p);
     if (!req) return;
 
     const requesterSocket = io.sockets.sockets.get(req.requesterId);
-    const currentTeam = findTeamByPin(p);
+    const currentTeam = findTeamByPin(room, p);
 
-    // Kick current if still exists
-    if (currentTeam) {
-      kickTeamSocket(currentTeam);
-    } else {
-      // if pin is somehow marked claimed but no team, fix it
-      state.claimedPins.delete(p);
-    }
+    // Kick current device if still logged in
+    if (currentTeam) kickTeamSocket(room, currentTeam);
 
-    // Allow requester to join if still connected
-    if (requesterSocket) {
-      const teamInfo = TEAM_REGISTRY.find(t => t.pin === p);
+    // Allow requester to join if still connected (and still in this room)
+    if (requesterSocket && requesterSocket.data.roomCode === room.code) {
+      const teamInfo = room.teamRegistry.find(t => t.pin === p);
       if (!teamInfo) {
         requesterSocket.emit("joinError", "Invalid team code.");
-        pendingTakeovers.delete(p);
-        broadcast();
+        room.pendingTakeovers.delete(p);
+        broadcast(room);
         return;
       }
 
-      // Ensure it is not still claimed
-      state.claimedPins.delete(p);
-
-      doJoinTeam(requesterSocket, p, teamInfo);
+      doJoinTeam(room, requesterSocket, p, teamInfo);
       requesterSocket.emit("takeoverApproved", { message: "Host approved. You are now logged in." });
     }
 
-    pendingTakeovers.delete(p);
-    broadcast();
+    room.pendingTakeovers.delete(p);
+    broadcast(room);
   });
 
   // Host denies takeover request
-  socket.on("hostDenyTakeover", ({ pin }) => {
-    if (!isHost(socket)) return;
+  on("hostDenyTakeover", ({ pin } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isModerator(room, socket)) return;
 
     const p = String(pin || "").trim();
-    const req = pendingTakeovers.get(p);
+    const req = room.pendingTakeovers.get(p);
     if (!req) return;
 
     const requesterSocket = io.sockets.sockets.get(req.requesterId);
@@ -617,161 +2588,489 @@ io.on("connection", (socket) => {
       requesterSocket.emit("takeoverDenied", { message: "Host denied takeover. Try again or ask the host." });
     }
 
-    pendingTakeovers.delete(p);
-    broadcast();
+    room.pendingTakeovers.delete(p);
+    broadcast(room);
+  });
+
+  // ----- Open registration -----
+  on("hostSetRegistration", (val) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
+    if (state.phase !== "lobby") return socket.emit("hostError", "Registration can only be opened or closed in the lobby.");
+    state.registrationOpen = !!val;
+    console.log(`📝 [${room.code}] Team registration ${state.registrationOpen ? "open" : "closed"}.`);
+    broadcast(room);
   });
 
-  socket.on("lockAnswer", (choiceIndex) => {
-    const team = state.teams.get(socket.id);
+  on("registerTeam", ({ room: code, name, members, avatar } = {}) => {
+    const current = roomOf(socket);
+    if (current && teamOfSocket(current, socket)) {
+      return socket.emit("registrationError", "This device is already joined.");
+    }
+
+    const room = getRoom(code);
+    if (!room) return socket.emit("registrationError", "Invalid room code.");
+
+    const res = requestRegistration(room, socket, { name, members, avatar });
+    if (res.error) return socket.emit("registrationError", res.error);
+
+    socket.emit("registrationPending", { message: "Registration sent. Waiting for the host to approve..." });
+    const mods = moderatorIds(room);
+    if (mods.length) io.to(mods).emit("hostState", hostState(room));
+  });
+
+  on("hostApproveRegistration", ({ id } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = approveRegistration(room, String(id || ""));
+    if (res.error) return socket.emit("hostError", res.error);
+
+    // the device joins with its new PIN itself, like any team
+    io.to(res.requesterId).emit("registrationApproved", { roomCode: room.code, pin: res.team.pin, name: res.team.name });
+    broadcast(room);
+  });
+
+  on("hostRejectRegistration", ({ id } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = rejectRegistration(room, String(id || ""));
+    if (res.error) return socket.emit("hostError", res.error);
+
+    io.to(res.requesterId).emit("registrationRejected", { message: "The host did not approve this team. Ask the host for a team code." });
+    broadcast(room);
+  });
+
+  // choice index (mc/tf), index array (multi/order) or number (numeric)
+  // meta.at = server-clock time of the tap, from the device's clock sync (public/client.js)
+  on("lockAnswer", (answer, meta) => {
+    const room = roomOf(socket);
+    if (!room) return;
+    const { state } = room;
+    const team = teamOfSocket(room, socket);
     if (!team) return;
     if (state.phase !== "question") return;
     if (state.paused) return;
     if (team.lockedChoice != null) return;
+    // sudden death: only the tied teams answer
+    if (state.tieBreak && state.tieBreak.question && !state.tieBreak.pins.includes(team.pin)) return;
+
+    const q = getCurrentQuestionObj(room);
+    if (!q) return;
+    const normalized = normalizeAnswer(q, answer);
+    if (normalized == null) return;
+    // 50:50 removed this option for the team
+    if ((team.hiddenChoices || []).includes(normalized)) return;
+
+    const latencyMs = latencyCompensationMs({
+      claimedAt: Number(meta && meta.at),
+      rttMs: rttOf(socket),
+      runningForMs: Date.now() - state.startedAtMs
+    });
+    const lockedAtRunMs = getRunElapsedMs(room) - latencyMs;
+    // arrived in the grace window but tapped after time ran out
+    if (lockedAtRunMs > state.timeSec * 1000 + (team.extraTimeMs || 0)) return;
+
+    team.lockedChoice = normalized;
+    team.lockedAtRunMs = lockedAtRunMs;
+    team.lockLatencyMs = latencyMs;
+    broadcast(room);
+  });
 
-    const idx = Number(choiceIndex);
-    if (![0, 1, 2, 3].includes(idx)) return;
-
-    team.lockedChoice = idx;
-    team.lockedAtRunMs = getRunElapsedMs();
-    broadcast();
+  on("usePowerup", (name) => {
+    const room = roomOf(socket);
+    if (!room) return;
+    const team = teamOfSocket(room, socket);
+    if (!team) return;
+    const err = usePowerup(room, team, String(name || ""));
+    if (err) return socket.emit("powerupError", err);
+    broadcast(room);
   });
 
   // ----- Host game controls -----
-  socket.on("hostReset", () => {
-    if (!isHost(socket)) return;
-    state = resetState();
-    pendingTakeovers = new Map();
-    broadcast();
+  on("hostReset", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const prev = room.state;
+    const state = resetState(room.settings);
+    room.state = state;
+    room.pendingTakeovers = new Map();
+    appendJournal(room.code, { type: "game", ...journalGame(room) });
+
+    // roles, rehearsal mode, registration, autopilot settings and logged-in devices stay; teams start over at 0
+    state.rehearsal = prev.rehearsal;
+    state.registrationOpen = prev.registrationOpen;
+    state.autopilot = prev.autopilot;
+    state.hostId = prev.hostId;
+    state.cohostIds = prev.cohostIds;
+    state.projectorIds = prev.projectorIds;
+    for (const old of prev.teams.values()) {
+      if (!old.socketId) continue;
+      const team = makeTeam(old);
+      Object.assign(team, {
+        socketId: old.socketId,
+        resumeToken: old.resumeToken,
+        ip: old.ip,
+        userAgent: old.userAgent,
+        joinedAt: old.joinedAt
+      });
+      state.teams.set(team.pin, team);
+    }
+    broadcast(room);
   });
 
-  socket.on("hostSetShuffle", ({ shuffleQuestions, shuffleChoices }) => {
-    if (!isHost(socket)) return;
+  on("hostSetShuffle", ({ shuffleQuestions, shuffleChoices } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
     if (typeof shuffleQuestions === "boolean") state.shuffleQuestions = shuffleQuestions;
     if (typeof shuffleChoices === "boolean") state.shuffleChoices = shuffleChoices;
-    broadcast();
+    broadcast(room);
+  });
+
+  // rehearsal: the whole game runs, but nothing is written to the sheets
+  on("hostSetRehearsal", (val) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
+    if (state.phase !== "lobby") return socket.emit("hostError", "Rehearsal mode can only be changed in the lobby.");
+    state.rehearsal = !!val;
+    if (!state.rehearsal) state.preview = null;
+    console.log(`🎭 [${room.code}] Rehearsal mode ${state.rehearsal ? "on" : "off"}.`);
+    broadcast(room);
+  });
+
+  // index = questionBank position (sheet order); null clears the projector
+  on("hostPreviewQuestion", ({ index, showAnswer } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
+    if (!state.rehearsal || state.phase !== "lobby") {
+      return socket.emit("hostError", "Question preview is only available in rehearsal mode, in the lobby.");
+    }
+    const i = index == null || index === "" ? null : Number(index);
+    if (i != null && !(Number.isInteger(i) && i >= 0 && i < room.questionBank.length)) {
+      return socket.emit("hostError", `No question ${index} in the ${room.questionsSheet} sheet.`);
+    }
+    state.preview = i == null ? null : { index: i, showAnswer: !!showAnswer };
+    broadcast(room);
   });
 
-  socket.on("hostSetManualScoring", (val) => {
-    if (!isHost(socket)) return;
-    state.manualScoring = !!val;
-    broadcast();
+  on("hostReloadPreview", async () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    try {
+      const { diff, report, loadedAt } = await previewReload(room);
+      socket.emit("reloadPreview", { diff, report, loadedAt, canApply: room.state.phase === "lobby" });
+    } catch (err) {
+      socket.emit("hostError", `Reload failed: ${err.message || err}`);
+    }
+  });
+
+  on("hostReloadApply", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = applyReload(room);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("reloadApplied", { diff: res.diff });
+  });
+
+  // profile for the whole game; only before the first question so every question is scored alike
+  on("hostSetScoringProfile", (name) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    if (room.state.phase !== "lobby") return socket.emit("hostError", "Scoring profile can only be changed in the lobby.");
+    if (!isProfile(name)) return socket.emit("hostError", `Unknown scoring profile: ${name}`);
+    room.state.scoringProfile = normalizeProfileName(name);
+    broadcast(room);
+  });
+
+  on("hostSetManualScoring", (val) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    room.state.manualScoring = !!val;
+    broadcast(room);
   });
 
-  socket.on("hostAdjustScore", ({ teamId, delta }) => {
-    if (!isHost(socket)) return;
-    const t = state.teams.get(teamId);
+  on("hostAdjustScore", ({ teamId, delta } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const t = room.state.teams.get(teamId);
     if (!t) return;
     const d = Number(delta);
     if (!Number.isFinite(d)) return;
     t.score += d;
-    broadcast();
-    syncTotalsToTeamsSheet().finally(() => {});
+    if (room.state.phase !== "lobby" && room.state.phase !== "finished") addRoundPoints(room, t, d);
+    broadcast(room);
+    syncTotalsToTeamsSheet(room);
+  });
+
+  // wrong answer key: correct = new key in the sheet's format ("B", "A,C" = accept both, "1945"...)
+  on("hostRegrade", ({ qNumber, correct } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = regradeQuestion(room, qNumber, correct);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("hostNotice", res.message);
+    broadcast(room);
+  });
+
+  on("hostUndoReveal", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = undoReveal(room);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("hostNotice", res.message);
+    broadcast(room);
+  });
+
+  // question list (see NAVIGATION); qNumber = position in this game
+  on("hostJumpTo", ({ qNumber } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = jumpToQuestion(room, qNumber);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("hostNotice", res.message);
+    broadcast(room);
+  });
+
+  // no qNumber = the current question; skip:false puts a skipped question back
+  on("hostSkip", ({ qNumber, skip = true } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = skip ? skipQuestion(room, qNumber) : unskipQuestion(room, qNumber);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("hostNotice", res.message);
+    broadcast(room);
+  });
+
+  on("hostRestartQuestion", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = restartQuestion(room);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("hostNotice", res.message);
+    broadcast(room);
+  });
+
+  on("hostReorder", ({ order } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const res = reorderQuestions(room, order);
+    if (res.error) return socket.emit("hostError", res.error);
+    socket.emit("hostNotice", res.message);
+    broadcast(room);
+  });
+
+  // simulated teams; external = the caller runs them itself (load_test.js) and gets their PINs back
+  on("hostAddBots", ({ count, accuracy, timing, dropRate, external } = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const n = Math.trunc(Number(count));
+    if (!(n >= 1)) return socket.emit("hostError", "Number of bots must be 1 or more.");
+    if (botCount(room) + n > MAX_BOTS) return socket.emit("hostError", `At most ${MAX_BOTS} bots per room (MAX_BOTS).`);
+    const options = normalizeBotOptions({ accuracy, timing, dropRate });
+    if (options.error) return socket.emit("hostError", options.error);
+
+    const pins = addBotTeams(room, n).map(t => t.pin);
+    if (!external) startRoomBots(room, pins, options);
+    const how = external ? "run by the caller" : `accuracy ${options.accuracy}, ${options.timing.text}, drop ${options.dropRate}`;
+    console.log(`🤖 [${room.code}] Added ${n} bots (${how}).`);
+    socket.emit("botsAdded", { pins });
+    broadcast(room);
   });
 
-  socket.on("hostStart", () => {
-    if (!isHost(socket)) return;
+  on("hostRemoveBots", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const pins = removeBotTeams(room);
+    if (!pins.length) return;
+    console.log(`🤖 [${room.code}] Removed ${pins.length} bots.`);
+    broadcast(room);
+  });
+
+  on("hostStart", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
 
-    if (!Array.isArray(QUESTION_BANK) || QUESTION_BANK.length === 0) {
-      socket.emit("hostError", "No questions loaded from the Questions sheet.");
+    if (!Array.isArray(room.questionBank) || room.questionBank.length === 0) {
+      socket.emit("hostError", `No questions loaded from the ${room.questionsSheet} sheet.`);
       return;
     }
 
-    state.gameQuestions = buildGameQuestions({
+    state.preview = null;
+    state.gameQuestions = buildGameQuestions(room, {
       shuffleQuestions: !!state.shuffleQuestions,
       shuffleChoices: !!state.shuffleChoices
     });
+    state.rounds = buildRounds(state.gameQuestions);
 
-    startQuestion(0);
-    broadcast();
+    if (hasRounds(state.rounds)) startRound(room, 0);
+    else startQuestion(room, 0);
+    broadcast(room);
   });
 
-  socket.on("hostPauseToggle", () => {
-    if (!isHost(socket)) return;
-    if (state.phase !== "question") return;
-    if (state.paused) resume();
-    else pause();
-    broadcast();
+  on("hostPauseToggle", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    if (room.state.phase !== "question") return;
+    if (room.state.paused) resume(room);
+    else pause(room);
+    broadcast(room);
   });
 
-  socket.on("hostReveal", () => {
-    if (!isHost(socket)) return;
-    if (state.phase !== "question") return;
-    revealAnswer();
-    broadcast();
+  on("hostReveal", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    if (room.state.phase !== "question") return;
+    revealAnswer(room);
+    broadcast(room);
   });
 
-  socket.on("hostNext", () => {
-  if (!isHost(socket)) return;
-
-  // revealed -> leaderboard
-  if (state.phase === "revealed") {
-    showLeaderboard();
-    broadcast();
-    return;
-  }
-
-  // leaderboard -> next question
-  if (state.phase === "leaderboard") {
-    nextQuestion();
-    broadcast();
-    return;
-  }
-});
-
-  socket.on("disconnect", () => {
-    if (socket.id === state.hostId) state.hostId = null;
-    state.projectorIds.delete(socket.id);
-
-    // If a logged-in team disconnects, free its pin
-    const team = state.teams.get(socket.id);
-    if (team) {
-      state.claimedPins.delete(team.pin);
-      state.teams.delete(socket.id);
-      // Also clear pending takeover for that pin (optional)
-      clearPendingTakeoverForPin(team.pin);
-    }
+  on("hostNext", () => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    if (advance(room)) broadcast(room);
+  });
 
-    // If a takeover requester disconnects, remove its request
-    for (const [pin, req] of pendingTakeovers.entries()) {
-      if (req.requesterId === socket.id) pendingTakeovers.delete(pin);
+  on("hostSetAutopilot", (changes = {}) => {
+    const room = roomOf(socket);
+    if (!room || !isHost(room, socket)) return;
+    const { state } = room;
+    const before = state.autopilot;
+    state.autopilot = normalizeAutopilot({ ...before, ...changes });
+    if (state.autopilot.on !== before.on || state.autopilot.paused !== before.paused) {
+      const mode = !state.autopilot.on ? "off" : state.autopilot.paused ? "paused" : "on";
+      console.log(`🛫 [${room.code}] Autopilot ${mode}.`);
     }
+    // timings or pause changed: the current step starts counting again
+    room.autopilotStep = null;
+    broadcast(room);
+  });
 
-    broadcast();
+  socket.on("disconnect", () => {
+    const room = roomOf(socket);
+    if (room) appendJournal(room.code, { type: "disconnect", socket: socket.id });
+    detachFromRoom(socket);
   });
 
-  socket.emit("state", publicState());
-});
+  if (initialRoom) socket.emit("state", publicState(initialRoom));
+}
 
 // ------------------- BOOTSTRAP -------------------
+// ROOMS="LOP1:Questions_Lop1,LOP2:Questions_Lop2:Teams_Lop2" -> code:questionsTab[:teamsTab]
+function configuredRooms() {
+  const list = [{ code: DEFAULT_ROOM }];
+  for (const part of String(process.env.ROOMS || "").split(",")) {
+    const [code, questionsSheet, teamsSheet, tieBreakSheet] = part.split(":").map(x => String(x || "").trim());
+    if (!normalizeRoomCode(code)) continue;
+    list.push({ code, questionsSheet, teamsSheet, tieBreakSheet });
+  }
+  return list;
+}
+
 async function loadSheetDataOrExitIfBroken() {
-  const teams = await loadTeamsFromSheet();
-  TEAM_REGISTRY = teams.map(t => ({ 
-    pin: t.pin, 
-    name: t.name, 
-    avatarUrl: t.avatarUrl || "", 
-    members: Array.isArray(t.members) ? t.members:[] }));
+  for (const cfg of configuredRooms()) {
+    if (getRoom(cfg.code)) continue;
+    await createRoom(cfg);
+  }
+}
+
+// Saved games resume in their rooms; rooms opened from the host panel are reopened first.
+async function resumeSavedGames() {
+  if (String(process.env.RESUME_GAME || "true").toLowerCase() === "false") return;
+
+  for (const { file, saved } of loadGameStates()) {
+    let room = getRoom(saved.roomCode);
+    if (!room) {
+      try {
+        room = await createRoom({ code: saved.roomCode, questionsSheet: saved.questionsSheet, teamsSheet: saved.teamsSheet });
+      } catch (err) {
+        console.error(`❌ Could not reopen room ${saved.roomCode} from ${file}:`, err.message || err);
+        continue;
+      }
+    }
 
-  const questions = await loadQuestionsFromSheet();
-  QUESTION_BANK = questions;
+    const restored = restoreState(room, saved);
+    if (!restored) {
+      console.error(`❌ Saved game in ${file} has no question list; starting a new game.`);
+      continue;
+    }
 
-  console.log(`✅ Loaded ${TEAM_REGISTRY.length} teams from Teams sheet.`);
-  console.log(`✅ Loaded ${QUESTION_BANK.length} questions from Questions sheet.`);
+    room.state = restored;
+    appendJournal(room.code, { type: "restart", ...journalGame(room) });
+    const { state } = room;
+    const at = state.qIndex >= 0 ? ` at Q${state.qIndex + 1}` : "";
+    console.log(`♻️  [${room.code}] Resumed game ${state.gameId} (${state.phase}${at}, ${state.teams.size} teams) from ${file}.`);
+  }
 }
 
+const SHUTDOWN_FLUSH_MS = 3000;
+
 async function main() {
   try {
     await loadSheetDataOrExitIfBroken();
   } catch (err) {
-    console.error("❌ Failed to load data from Google Sheets:", err.message || err);
+    console.error(`❌ Failed to load data from ${STORE_NAME}:`, err.message || err);
     console.error("   Fix the sheet headers/data and restart the server.");
     process.exit(1);
   }
 
+  await resumeSavedGames();
+
+  startTicking();
+  startClockPings(io);
+
+  // pending writes from before a restart are sent first; hosts see the backlog live
+  startWriteQueue((status) => {
+    for (const room of rooms.values()) {
+      const mods = moderatorIds(room);
+      if (mods.length) io.to(mods).emit("writeQueueStatus", status);
+    }
+  });
+
+  if (isOpenLogin()) {
+    console.warn("⚠️  HOST_OPEN_LOGIN=true and no HOST_SECRET: anyone can log in as host. Set HOST_SECRET before running an event.");
+  } else if (!isLoginConfigured()) {
+    console.error("❌ HOST_SECRET is not set: host login is turned off. Set HOST_SECRET (or HOST_OPEN_LOGIN=true for a private test).");
+  }
+
+  // a redeploy stops the server with SIGTERM: write the coalesced game state first, give the
+  // queued sheet writes a few seconds, then save what is left for the next start
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, async () => {
+      flushGameStateSaves();
+      await Promise.race([flushWriteQueue(), new Promise(resolve => setTimeout(resolve, SHUTDOWN_FLUSH_MS))]);
+      saveWriteQueue();
+      process.exit(0);
+    });
+  }
+
   const PORT = process.env.PORT || 3000;
-  server.listen(PORT, () => console.log(`Mini Kahoot running on http://localhost:${PORT}`));
+  server.listen(PORT, () => console.log(`Mini Kahoot running on http://localhost:${PORT} (rooms: ${[...rooms.keys()].join(", ")})`));
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+// replay.js drives the same handlers without starting the server
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  io,
+  rooms,
+  onConnection,
+  makeRoom,
+  claimHostRole,
+  applyReload,
+  tickRoom,
+  runAutopilotStep,
+  serializeState,
+  restoreState,
+  getRunElapsedMs,
+  getCurrentQuestionObj,
+  removeBotTeams,
+};
@@ -0,0 +1,139 @@
+// settings.js
+// Event settings from the Settings tab (SETTINGS_SHEET_NAME, default "Settings"; Settings.csv or
+// Settings.json offline). One row per setting with the columns key, value; a missing row or a
+// value that can't be used keeps the default. Read with Teams / Questions at boot and on reload.
+//   title                     game title on every screen
+//   defaultTimeSec            question time when timeSec is blank (20)
+//   minTimeSec, maxTimeSec    allowed timeSec range (5–300)
+//   mediaHeights              allowed mediaHeight values (300,400,500,600,700,800)
+//   defaultMediaHeight        when mediaHeight is blank (600)
+//   shuffleQuestions, shuffleChoices   host panel toggles at the start of a game (true)
+//   themeBackground, themeBackground2, themeText, themeAccent   colours (#hex, rgb(), hsl() or a name)
+//   logoUrl                   logo in the screen headers (/media/... or https://...)
+//   welcomeText               on the projector lobby and the team join screen
+
+const { mediaProblem } = require("./media_files");
+
+const DEFAULT_SETTINGS = Object.freeze({
+  title: "Đố vui Tết 2026",
+  defaultTimeSec: 20,
+  minTimeSec: 5,
+  maxTimeSec: 300,
+  mediaHeights: Object.freeze([300, 400, 500, 600, 700, 800]),
+  defaultMediaHeight: 600,
+  shuffleQuestions: true,
+  shuffleChoices: true,
+  themeBackground: "",
+  themeBackground2: "",
+  themeText: "",
+  themeAccent: "",
+  logoUrl: "",
+  welcomeText: "",
+});
+
+const COLOR_RE = /^(#[0-9a-f]{3,8}|(rgb|rgba|hsl|hsla)\([\d\s.,%/]+\)|[a-z]{3,30})$/i;
+
+function readSeconds(raw) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 1 && n <= 3600 ? { value: n } : { error: "must be a whole number of seconds (1–3600)" };
+}
+
+function readHeight(raw) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 100 && n <= 2000 ? { value: n } : { error: "must be a height in pixels (100–2000)" };
+}
+
+function readBool(raw) {
+  const s = raw.toLowerCase();
+  if (["true", "yes", "y", "1"].includes(s)) return { value: true };
+  if (["false", "no", "n", "0"].includes(s)) return { value: false };
+  return { error: "must be true or false" };
+}
+
+function readColor(raw) {
+  return COLOR_RE.test(raw) ? { value: raw } : { error: "is not a colour (use #hex, rgb(), hsl() or a colour name)" };
+}
+
+function readText(max) {
+  return (raw) => (raw.length <= max ? { value: raw } : { error: `is longer than ${max} characters` });
+}
+
+// key -> reader(raw trimmed text) -> { value } | { error }
+const READERS = {
+  title: (raw) => (raw ? readText(80)(raw) : { error: "is empty" }),
+  defaultTimeSec: readSeconds,
+  minTimeSec: readSeconds,
+  maxTimeSec: readSeconds,
+  mediaHeights: (raw) => {
+    const list = raw.split(/[,\s]+/).filter(Boolean).map(x => readHeight(x));
+    if (!list.length || list.some(x => x.error)) return { error: "must be a list of heights in pixels, e.g. 300,400,600" };
+    return { value: [...new Set(list.map(x => x.value))].sort((a, b) => a - b) };
+  },
+  defaultMediaHeight: readHeight,
+  shuffleQuestions: readBool,
+  shuffleChoices: readBool,
+  themeBackground: readColor,
+  themeBackground2: readColor,
+  themeText: readColor,
+  themeAccent: readColor,
+  logoUrl: (raw) => {
+    const problem = mediaProblem(raw);
+    return problem ? { error: problem.replace(/^mediaUrl/, "the URL") } : { value: raw };
+  },
+  welcomeText: readText(500),
+};
+
+// case-insensitive key ("DefaultTimeSec", "defaulttimesec") -> setting name, or ""
+function settingName(key) {
+  const k = String(key || "").trim().toLowerCase();
+  return Object.keys(READERS).find(name => name.toLowerCase() === k) || "";
+}
+
+// { value } for a known key, { error } otherwise; blank = the default
+function readSetting(name, raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { value: DEFAULT_SETTINGS[name] };
+  return READERS[name](text);
+}
+
+// Settings that only make sense together; returns the fixes to report
+function reconcileSettings(s) {
+  const fixes = [];
+  if (s.minTimeSec > s.maxTimeSec) {
+    fixes.push(`minTimeSec ${s.minTimeSec} is above maxTimeSec ${s.maxTimeSec}, using ${DEFAULT_SETTINGS.minTimeSec}–${DEFAULT_SETTINGS.maxTimeSec}`);
+    s.minTimeSec = DEFAULT_SETTINGS.minTimeSec;
+    s.maxTimeSec = DEFAULT_SETTINGS.maxTimeSec;
+  }
+  const time = Math.max(s.minTimeSec, Math.min(s.maxTimeSec, s.defaultTimeSec));
+  if (time !== s.defaultTimeSec) {
+    fixes.push(`defaultTimeSec ${s.defaultTimeSec} is outside ${s.minTimeSec}–${s.maxTimeSec}, using ${time}`);
+    s.defaultTimeSec = time;
+  }
+  if (!s.mediaHeights.includes(s.defaultMediaHeight)) {
+    fixes.push(`defaultMediaHeight ${s.defaultMediaHeight} is not in mediaHeights, using ${s.mediaHeights[0]}`);
+    s.defaultMediaHeight = s.mediaHeights[0];
+  }
+  return fixes;
+}
+
+// What the screens need for branding (colours are checked when the tab is read)
+function brandingForClient(settings) {
+  return {
+    logoUrl: settings.logoUrl,
+    welcomeText: settings.welcomeText,
+    theme: {
+      bg1: settings.themeBackground,
+      bg2: settings.themeBackground2,
+      text: settings.themeText,
+      accent: settings.themeAccent
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  settingName,
+  readSetting,
+  reconcileSettings,
+  brandingForClient,
+};
@@ -0,0 +1,366 @@
+// sheet_rows.js
+// Row parsing shared by every store backend (Google Sheets, offline files).
+// A "rows" value is always an array of arrays: rows[0] = headers, rows[1..] = data.
+
+const { LETTERS, TYPES, normalizeType, buildAnswerKey } = require("./question_types");
+const { isProfile, normalizeProfileName } = require("./scoring");
+const { mediaProblem } = require("./media_files");
+const { POWERUPS } = require("./powerups");
+const { DEFAULT_SETTINGS, settingName, readSetting, reconcileSettings } = require("./settings");
+
+const QUESTION_LOG_HEADERS = [
+  "timestamp", "gameId", "questionRunId", "qNumber", "question",
+  "mediaType", "mediaUrl", "A", "B", "C", "D", "correct", "room",
+  "type", "E", "F", "round", "category", "status"
+];
+
+const ANSWER_LOG_HEADERS = [
+  "timestamp", "gameId", "questionRunId", "qNumber", "pin", "teamName",
+  "answer", "isCorrect", "timeMs", "points", "totalScore", "room",
+  "scoringProfile", "basePoints", "multiplier", "streakBonus", "penalty", "streak",
+  "round", "roundScore", "tieBreak", "latencyMs", "powerups", "correction"
+];
+
+function toBool(x) {
+  const s = String(x ?? "").trim().toLowerCase();
+  if (!s) return true; // default enabled if blank
+  return ["true", "yes", "y", "1"].includes(s);
+}
+
+function toInt(x, fallback) {
+  const n = Number(String(x ?? "").trim());
+  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+}
+
+function normalizeHeaders(row) {
+  return (row || []).map(h => String(h || "").trim().toLowerCase());
+}
+
+// Problems found while parsing go into `issues` (optional) instead of being dropped silently:
+//   { sheet, row, key, level, message }   row = 1-based sheet row, key = pin / qId
+//   level "error"   -> the row was not loaded
+//   level "warning" -> the row was loaded with a value changed or ignored
+function addIssue(issues, sheet, row, key, level, message) {
+  if (issues) issues.push({ sheet, row, key: key || "", level, message });
+}
+
+function isBlankRow(row) {
+  return !(row || []).some(c => String(c ?? "").trim() !== "");
+}
+
+function parseTeamRows(rows, issues = null) {
+  if (!rows || rows.length < 2) return [];
+
+  const headers = normalizeHeaders(rows[0]);
+
+  const idxPin = headers.indexOf("pin");
+  const idxName = headers.indexOf("name");
+  const idxAvatar = headers.indexOf("avatarurl");
+  const idxScore = headers.indexOf("score");
+  const idxMembers = headers.indexOf("members") !== -1 ? headers.indexOf("members") : headers.indexOf("member");
+  // per-team power-up limits (fiftyFifty, doubleOrNothing, extraTime), see powerups.js
+  const idxPowerups = Object.entries(POWERUPS).map(([name, p]) => [name, headers.indexOf(p.column)]);
+
+  if (idxPin === -1 || idxName === -1) {
+    throw new Error(`Teams sheet must have headers: pin, name (optional: avatarUrl, members, score, fiftyFifty, doubleOrNothing, extraTime)`);
+  }
+
+  const teams = [];
+  const rowOfPin = new Map();
+  for (let i = 1; i < rows.length; i++) {
+    const r = rows[i];
+    if (isBlankRow(r)) continue;
+    const issue = (level, message) => addIssue(issues, "Teams", i + 1, pin, level, message);
+
+    const pin = String(r[idxPin] || "").trim();
+    const name = String(r[idxName] || "").trim();
+    if (!pin) { issue("error", "missing pin"); continue; }
+    if (!name) { issue("error", "missing name"); continue; }
+    if (rowOfPin.has(pin)) { issue("error", `duplicate pin (already used on row ${rowOfPin.get(pin)})`); continue; }
+    rowOfPin.set(pin, i + 1);
+
+    const avatarUrl = idxAvatar !== -1 ? String(r[idxAvatar] || "").trim() : "";
+    let score = idxScore !== -1 ? Number(r[idxScore] || 0) : 0;
+    if (!Number.isFinite(score)) {
+      issue("warning", `score "${r[idxScore]}" is not a number, using 0`);
+      score = 0;
+    }
+
+    const membersRaw = idxMembers !== -1 ? String(r[idxMembers] || "").trim() : "";
+    const members = membersRaw
+      ? membersRaw.split(",").map(s => s.trim()).filter(Boolean)
+      : [];
+
+    const powerupLimits = {};
+    for (const [name, idx] of idxPowerups) {
+      const raw = idx !== -1 ? String(r[idx] ?? "").trim() : "";
+      if (!raw) continue;
+      const n = toInt(raw, NaN);
+      if (Number.isFinite(n) && n >= 0) powerupLimits[name] = n;
+      else issue("warning", `${rows[0][idx]} "${raw}" is not a whole number, using the default limit`);
+    }
+
+    const team = { pin, name, avatarUrl, score, members }; // ✅ include members
+    if (Object.keys(powerupLimits).length) team.powerupLimits = powerupLimits;
+    teams.push(team);
+  }
+
+  return teams;
+}
+
+// settings: settings.js (default time, timeSec range, allowed media heights)
+function parseQuestionRows(rows, issues = null, settings = DEFAULT_SETTINGS) {
+  if (!rows || rows.length < 2) return [];
+
+  const headers = normalizeHeaders(rows[0]);
+  const idx = (name) => headers.indexOf(name);
+
+  const iQid = idx("qid");
+  const iType = idx("type");
+  const iQuestion = idx("question");
+  const iMediaType = idx("mediatype");
+  const iMediaUrl = idx("mediaurl");
+  const iChoices = LETTERS.map(l => idx(l.toLowerCase())); // A–F, only A/B required
+  const iCorrect = idx("correct");
+  const iPartial = idx("partial");
+  const iTimeSec = idx("timesec");
+  const iEnabled = idx("enabled");
+  const iMediaHeight = idx("mediaheight"); // ✅ add
+  // per-question scoring overrides (see scoring.js)
+  const iScoring = idx("scoring");
+  const iPoints = idx("points");
+  const iGraceSec = idx("gracesec");
+  const iDouble = idx("double");
+  const iPenalty = idx("penalty");
+  // themed rounds (see rounds.js)
+  const iRound = idx("round");
+  const iCategory = idx("category");
+  const iRoundIntro = idx("roundintro");
+
+  if (iQuestion === -1 || iChoices[0] === -1 || iChoices[1] === -1 || iCorrect === -1) {
+    throw new Error(
+      `Questions sheet headers required: question, A, B, correct (optional: qId, type, C, D, E, F, partial, mediaType, mediaUrl, timeSec, enabled, scoring, points, graceSec, double, penalty, round, category, roundIntro). Found: ${rows[0].join(", ")}`
+    );
+  }
+
+  const questions = [];
+  const rowOfQid = new Map();
+  let round = "";
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    if (isBlankRow(row)) continue;
+
+    const cell = (i) => (i !== -1 ? String(row[i] ?? "").trim() : "");
+    // a blank round cell continues the round above (also across disabled rows)
+    if (cell(iRound)) round = cell(iRound);
+
+    const enabled = iEnabled !== -1 ? toBool(row[iEnabled]) : true;
+    if (!enabled) continue;
+
+    const qIdRaw = cell(iQid);
+    const qId = qIdRaw || `ROW-${r + 1}`;
+    const issue = (level, message) => addIssue(issues, "Questions", r + 1, qId, level, message);
+
+    const question = cell(iQuestion);
+    if (!question) { issue("error", "question text is empty"); continue; }
+
+    if (rowOfQid.has(qId)) { issue("error", `duplicate qId (already used on row ${rowOfQid.get(qId)})`); continue; }
+
+    const type = normalizeType(cell(iType));
+    if (!type) { issue("error", `unknown type "${cell(iType)}" (use ${TYPES.join(", ")})`); continue; }
+
+    const choiceCells = iChoices.map(cell);
+    const partial = cell(iPartial) !== "" && toBool(cell(iPartial));
+    const key = buildAnswerKey(type, choiceCells, row[iCorrect], partial);
+    if (key.error) { issue("error", `${type} question ${key.error}`); continue; }
+
+    // blank timeSec = the default (20); anything else is kept within the range (5–300)
+    const { defaultTimeSec, minTimeSec, maxTimeSec } = settings;
+    let timeSec = defaultTimeSec;
+    if (cell(iTimeSec)) {
+      const t = toInt(cell(iTimeSec), NaN);
+      if (!Number.isFinite(t)) issue("warning", `timeSec "${cell(iTimeSec)}" is not a number, using ${defaultTimeSec}`);
+      else {
+        timeSec = Math.max(minTimeSec, Math.min(maxTimeSec, t));
+        if (timeSec !== t) issue("warning", `timeSec ${t} is out of range, using ${timeSec} (allowed ${minTimeSec}–${maxTimeSec})`);
+      }
+    }
+
+    // ✅ per-question media height
+    const { mediaHeights, defaultMediaHeight } = settings;
+    let mediaHeight = defaultMediaHeight;
+    if (cell(iMediaHeight)) {
+      const h = toInt(cell(iMediaHeight), NaN);
+      if (mediaHeights.includes(h)) mediaHeight = h;
+      else issue("warning", `mediaHeight "${cell(iMediaHeight)}" is not allowed, using ${defaultMediaHeight} (allowed ${mediaHeights.join(", ")})`);
+    }
+
+    const mediaTypeRaw = cell(iMediaType).toLowerCase();
+    const mediaType = (mediaTypeRaw === "image" || mediaTypeRaw === "video") ? mediaTypeRaw : "";
+    const mediaUrl = cell(iMediaUrl);
+    if (mediaTypeRaw && !mediaType) issue("warning", `mediaType "${cell(iMediaType)}" is not image/video, media ignored`);
+    else if (mediaType && !mediaUrl) issue("warning", "mediaType is set but mediaUrl is empty, media ignored");
+    else if (!mediaType && mediaUrl) issue("warning", "mediaUrl is set but mediaType is empty, media ignored");
+
+    const qObj = {
+      qId,
+      type,
+      text: question,
+      ...key.fields,
+      timeSec,
+    };
+
+    const scoring = parseScoringCells(cell, { iScoring, iPoints, iGraceSec, iDouble, iPenalty }, issue);
+    if (scoring) qObj.scoring = scoring;
+
+    if (round) qObj.round = round;
+    if (cell(iCategory)) qObj.category = cell(iCategory);
+    if (cell(iRoundIntro)) qObj.roundIntro = cell(iRoundIntro);
+
+    if (mediaType && mediaUrl) {
+      // only checked when a report is wanted; a missing file still loads (the media just won't show)
+      const problem = issues ? mediaProblem(mediaUrl) : "";
+      if (problem) issue("warning", problem);
+
+      qObj.mediaType = mediaType;
+      qObj.mediaUrl = mediaUrl;
+      qObj.mediaHeight = mediaHeight; // ✅ add
+    }
+
+    rowOfQid.set(qId, r + 1);
+    questions.push(qObj);
+  }
+
+  return questions;
+}
+
+// Reads the optional scoring columns of a question row; null when none are filled
+function parseScoringCells(cell, { iScoring, iPoints, iGraceSec, iDouble, iPenalty }, issue) {
+  const scoring = {};
+
+  const profile = cell(iScoring);
+  if (profile) {
+    if (isProfile(profile)) scoring.profile = normalizeProfileName(profile);
+    else issue("warning", `unknown scoring profile "${profile}", using the game's profile`);
+  }
+
+  const points = toInt(cell(iPoints), NaN);
+  if (cell(iPoints)) {
+    if (points >= 0) scoring.maxPoints = points;
+    else issue("warning", `points "${cell(iPoints)}" is not a number ≥ 0, ignored`);
+  }
+
+  const graceSec = Number(cell(iGraceSec));
+  if (cell(iGraceSec)) {
+    if (Number.isFinite(graceSec) && graceSec >= 0) scoring.graceSec = graceSec;
+    else issue("warning", `graceSec "${cell(iGraceSec)}" is not a number ≥ 0, ignored`);
+  }
+
+  if (cell(iDouble) && toBool(cell(iDouble))) scoring.multiplier = 2;
+
+  const penalty = toInt(cell(iPenalty), NaN);
+  if (cell(iPenalty)) {
+    if (penalty >= 0) scoring.wrongPenalty = penalty;
+    else issue("warning", `penalty "${cell(iPenalty)}" is not a number ≥ 0, ignored`);
+  }
+
+  return Object.keys(scoring).length ? scoring : null;
+}
+
+// Finds the cells to change so the Teams rows carry the given scores.
+// Returns [{ rowIndex, colIndex, value }] with 0-based indices into rows.
+function planScoreUpdates(rows, pinToScore) {
+  if (!rows || rows.length < 2) return [];
+
+  const headers = normalizeHeaders(rows[0]);
+  const idxPin = headers.indexOf("pin");
+  const idxScore = headers.indexOf("score");
+  if (idxPin === -1) throw new Error(`Teams sheet must have 'pin' header.`);
+  // no guessing a column: it could hold members, avatars or power-up limits
+  if (idxScore === -1) throw new Error(`Teams sheet must have a 'score' header to write totals.`);
+
+  const cells = [];
+  for (let i = 1; i < rows.length; i++) {
+    const r = rows[i];
+    const pin = String(r[idxPin] || "").trim();
+    if (!pin) continue;
+
+    if (Object.prototype.hasOwnProperty.call(pinToScore, pin)) {
+      cells.push({ rowIndex: i, colIndex: idxScore, value: String(pinToScore[pin]) });
+    }
+  }
+
+  return cells;
+}
+
+// A new Teams row for a self-registered team, laid out by the tab's own headers
+// (pin, name, avatarUrl, members, score; other columns stay blank)
+function teamRowFor(headerRow, team) {
+  const headers = normalizeHeaders(headerRow);
+  if (headers.indexOf("pin") === -1 || headers.indexOf("name") === -1) {
+    throw new Error(`Teams sheet must have headers: pin, name`);
+  }
+  const values = {
+    pin: team.pin,
+    name: team.name,
+    avatarurl: team.avatarUrl || "",
+    members: (team.members || []).join(", "),
+    member: (team.members || []).join(", "),
+    score: String(team.score || 0),
+  };
+  return headers.map(h => (Object.prototype.hasOwnProperty.call(values, h) ? values[h] : ""));
+}
+
+// Log tabs (QuestionLog / AnswerLog) as objects keyed by header, so older logs
+// with fewer columns still read fine
+function rowsToObjects(rows) {
+  if (!rows || rows.length < 2) return [];
+  const headers = (rows[0] || []).map(h => String(h || "").trim());
+  return rows.slice(1).map(r => Object.fromEntries(headers.map((h, i) => [h, String(r[i] ?? "")])));
+}
+
+// Settings tab: key, value rows (see settings.js); unknown keys and bad values are warnings
+function parseSettingsRows(rows, issues = null) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!rows || rows.length < 2) return settings;
+
+  const headers = normalizeHeaders(rows[0]);
+  const iKey = headers.indexOf("key");
+  const iValue = headers.indexOf("value");
+  if (iKey === -1 || iValue === -1) {
+    throw new Error(`Settings sheet headers required: key, value. Found: ${rows[0].join(", ")}`);
+  }
+
+  const rowOfKey = new Map();
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    if (isBlankRow(row)) continue;
+    const key = String(row[iKey] ?? "").trim();
+    const issue = (level, message) => addIssue(issues, "Settings", r + 1, key, level, message);
+
+    const name = settingName(key);
+    if (!name) { issue("warning", `unknown setting "${key}", ignored`); continue; }
+    if (rowOfKey.has(name)) { issue("warning", `${name} is set again (row ${rowOfKey.get(name)} is used)`); continue; }
+    rowOfKey.set(name, r + 1);
+
+    const res = readSetting(name, row[iValue]);
+    if (res.error) { issue("warning", `${name} ${res.error}, using the default`); continue; }
+    settings[name] = res.value;
+  }
+  for (const fix of reconcileSettings(settings)) addIssue(issues, "Settings", 1, "", "warning", fix);
+  return settings;
+}
+
+module.exports = {
+  QUESTION_LOG_HEADERS,
+  ANSWER_LOG_HEADERS,
+  toBool,
+  toInt,
+  normalizeHeaders,
+  parseTeamRows,
+  parseQuestionRows,
+  parseSettingsRows,
+  planScoreUpdates,
+  teamRowFor,
+  rowsToObjects,
+};
@@ -4,6 +4,7 @@
 const { google } = require("googleapis");
 const fs = require("fs");
 const path = require("path");
+const { normalizeHeaders, parseTeamRows, parseQuestionRows, parseSettingsRows, planScoreUpdates, teamRowFor } = require("./sheet_rows");
 
 function mustEnv(name) {
   const v = process.env[name];
@@ -46,194 +47,46 @@ async function getSheetsClient() {
   return google.sheets({ version: "v4", auth: client });
 }
 
-function toBool(x) {
-  const s = String(x ?? "").trim().toLowerCase();
-  if (!s) return true; // default enabled if blank
-  return ["true", "yes", "y", "1"].includes(s);
+async function readRows(sheetName, cols = "Z") {
+  const sheets = await getSheetsClient();
+  const spreadsheetId = mustEnv("SHEET_ID");
+  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${sheetName}!A1:${cols}` });
+  return res.data.values || [];
 }
 
-function toInt(x, fallback) {
-  const n = Number(String(x ?? "").trim());
-  return Number.isFinite(n) ? Math.trunc(n) : fallback;
+async function loadTeamsFromSheet(sheetName = process.env.TEAMS_SHEET_NAME || "Teams", issues = null) {
+  return parseTeamRows(await readRows(sheetName), issues);
 }
 
-function normalizeCorrectLetter(x) {
-  const s = String(x ?? "").trim().toUpperCase();
-  if (["A", "B", "C", "D"].includes(s)) return s;
-  return "";
+async function loadQuestionsFromSheet(sheetName = process.env.QUESTIONS_SHEET_NAME || "Questions", issues = null, settings = undefined) {
+  return parseQuestionRows(await readRows(sheetName), issues, settings);
 }
 
-async function loadTeamsFromSheet() {
-  const sheets = await getSheetsClient();
-  const spreadsheetId = mustEnv("SHEET_ID");
-  const sheetName = process.env.TEAMS_SHEET_NAME || "Teams";
-  const range = `${sheetName}!A1:Z`;
-
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-  const rows = res.data.values || [];
-  if (rows.length < 2) return [];
-
-  const headers = rows[0].map(h => String(h || "").trim().toLowerCase());
-
-  const idxPin = headers.indexOf("pin");
-  const idxName = headers.indexOf("name");
-  const idxAvatar = headers.indexOf("avatarurl");
-  const idxScore = headers.indexOf("score");
-  const idxMembers = headers.indexOf("members") !== -1 ? headers.indexOf("members") : headers.indexOf("member");
-
-  if (idxPin === -1 || idxName === -1) {
-    throw new Error(`Teams sheet must have headers: pin, name (optional: avatarUrl, members, score)`);
-  }
-
-  const teams = [];
-  for (let i = 1; i < rows.length; i++) {
-    const r = rows[i];
-
-    const pin = String(r[idxPin] || "").trim();
-    const name = String(r[idxName] || "").trim();
-    if (!pin || !name) continue;
-
-    const avatarUrl = idxAvatar !== -1 ? String(r[idxAvatar] || "").trim() : "";
-    const score = idxScore !== -1 ? Number(r[idxScore] || 0) : 0;
-
-    const membersRaw = idxMembers !== -1 ? String(r[idxMembers] || "").trim() : "";
-    const members = membersRaw
-      ? membersRaw.split(",").map(s => s.trim()).filter(Boolean)
-      : [];
-
-    teams.push({ pin, name, avatarUrl, score, members }); // ✅ include members
-  }
-
-  return teams;
+async function loadSettingsFromSheet(sheetName = process.env.SETTINGS_SHEET_NAME || "Settings", issues = null) {
+  return parseSettingsRows(await readRows(sheetName, "B"), issues);
 }
 
-async function loadQuestionsFromSheet() {
-  const sheets = await getSheetsClient();
-  const spreadsheetId = mustEnv("SHEET_ID");
-  const sheetName = process.env.QUESTIONS_SHEET_NAME || "Questions";
-  const range = `${sheetName}!A1:Z`;   // ✅ was A1:K
-
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-  const rows = res.data.values || [];
-  if (rows.length < 2) return [];
-
-  const headers = rows[0].map(h => String(h || "").trim().toLowerCase());
-  const idx = (name) => headers.indexOf(name);
-
-  const iQid = idx("qid");
-  const iQuestion = idx("question");
-  const iMediaType = idx("mediatype");
-  const iMediaUrl = idx("mediaurl");
-  const iA = idx("a");
-  const iB = idx("b");
-  const iC = idx("c");
-  const iD = idx("d");
-  const iCorrect = idx("correct");
-  const iTimeSec = idx("timesec");
-  const iEnabled = idx("enabled");
-  const iMediaHeight = idx("mediaheight"); // ✅ add
-
-  if (iQuestion === -1 || iA === -1 || iB === -1 || iC === -1 || iD === -1 || iCorrect === -1) {
-    throw new Error(
-      `Questions sheet headers required: question, A, B, C, D, correct (optional: qId, mediaType, mediaUrl, timeSec, enabled). Found: ${rows[0].join(", ")}`
-    );
-  }
-
-  const questions = [];
-  for (let r = 1; r < rows.length; r++) {
-    const row = rows[r];
-    const enabled = iEnabled !== -1 ? toBool(row[iEnabled]) : true;
-    if (!enabled) continue;
-
-    const question = String(row[iQuestion] || "").trim();
-    const A = String(row[iA] || "").trim();
-    const B = String(row[iB] || "").trim();
-    const C = String(row[iC] || "").trim();
-    const D = String(row[iD] || "").trim();
-    const correctLetter = normalizeCorrectLetter(row[iCorrect]);
-    const timeSec = iTimeSec !== -1 ? toInt(row[iTimeSec], 20) : 20;
-
-    // ✅ per-question media height
-    const mediaHeight = iMediaHeight !== -1 ? toInt(row[iMediaHeight], 600) : 600;
-    const safeMediaHeight = [300, 400, 500, 600, 700, 800].includes(mediaHeight) ? mediaHeight : 600;
+async function updateScoresToSheet(pinToScore, sheetName = process.env.TEAMS_SHEET_NAME || "Teams") {
+  const rows = await readRows(sheetName);
 
-    if (!question) continue;
-    if (![A, B, C, D].every(x => x.length > 0)) continue;
-    if (!correctLetter) continue;
+  const cells = planScoreUpdates(rows, pinToScore);
+  if (!cells.length) return { updated: 0 };
 
-    const correctIndex = { A: 0, B: 1, C: 2, D: 3 }[correctLetter];
-    const qIdRaw = iQid !== -1 ? String(row[iQid] || "").trim() : "";
-    const qId = qIdRaw || `ROW-${r + 1}`;
-
-    const mediaTypeRaw = iMediaType !== -1 ? String(row[iMediaType] || "").trim().toLowerCase() : "";
-    const mediaType = (mediaTypeRaw === "image" || mediaTypeRaw === "video") ? mediaTypeRaw : "";
-    const mediaUrl = iMediaUrl !== -1 ? String(row[iMediaUrl] || "").trim() : "";
-
-    const qObj = {
-      qId,
-      text: question,
-      choices: [A, B, C, D],
-      correctIndex,
-      timeSec: Math.max(5, Math.min(300, timeSec)),
-    };
-
-    if (mediaType && mediaUrl) {
-      qObj.mediaType = mediaType;
-      qObj.mediaUrl = mediaUrl;
-      qObj.mediaHeight = safeMediaHeight; // ✅ add
-    }
-
-    questions.push(qObj);
-  }
-
-  return questions;
-}
+  const data = cells.map(({ rowIndex, colIndex, value }) => {
+    const colLetter = String.fromCharCode("A".charCodeAt(0) + colIndex);
+    return { range: `${sheetName}!${colLetter}${rowIndex + 1}`, values: [[value]] };
+  });
 
-async function updateScoresToSheet(pinToScore) {
   const sheets = await getSheetsClient();
-  const spreadsheetId = mustEnv("SHEET_ID");
-  const sheetName = process.env.TEAMS_SHEET_NAME || "Teams";
-  const range = `${sheetName}!A1:D`;
-
-  const res = await sheets.spreadsheets.values.get({ spreadsheetId, range });
-  const rows = res.data.values || [];
-  if (rows.length < 2) return { updated: 0 };
-
-  const headers = rows[0].map(h => String(h || "").trim().toLowerCase());
-  const idxPin = headers.indexOf("pin");
-  let idxScore = headers.indexOf("score");
-  if (idxPin === -1) throw new Error(`Teams sheet must have 'pin' header.`);
-  if (idxScore === -1) idxScore = 3; // default to column D if missing
-
-  const data = [];
-  let updated = 0;
-
-  for (let i = 1; i < rows.length; i++) {
-    const r = rows[i];
-    const pin = String(r[idxPin] || "").trim();
-    if (!pin) continue;
-
-    if (Object.prototype.hasOwnProperty.call(pinToScore, pin)) {
-      const score = pinToScore[pin];
-      const rowNumber = i + 1;
-      const colLetter = String.fromCharCode("A".charCodeAt(0) + idxScore);
-      const cell = `${sheetName}!${colLetter}${rowNumber}`;
-      data.push({ range: cell, values: [[String(score)]] });
-      updated++;
-    }
-  }
-
-  if (!data.length) return { updated: 0 };
-
   await sheets.spreadsheets.values.batchUpdate({
-    spreadsheetId,
+    spreadsheetId: mustEnv("SHEET_ID"),
     requestBody: {
       valueInputOption: "RAW",
       data,
     },
   });
 
-  return { updated };
+  return { updated: cells.length };
 }
 
 async function appendRows(sheetName, rows) {
@@ -252,9 +105,28 @@ async function appendRows(sheetName, rows) {
   return { appended: rows.length };
 }
 
-async function appendQuestionRow(row) {
+// teams: [{ pin, name, avatarUrl, members }]; PINs already on the tab are skipped (a retried write)
+async function appendTeamRows(teams, sheetName = process.env.TEAMS_SHEET_NAME || "Teams") {
+  const rows = await readRows(sheetName);
+  if (!rows.length) throw new Error(`${sheetName} has no header row`);
+
+  const iPin = normalizeHeaders(rows[0]).indexOf("pin");
+  const known = new Set(rows.slice(1).map(r => String(r[iPin] || "").trim()));
+  return appendRows(sheetName, teams.filter(t => !known.has(t.pin)).map(t => teamRowFor(rows[0], t)));
+}
+
+// Raw log rows (header + data) for reports
+async function readQuestionLog() {
+  return readRows(process.env.QUESTION_LOG_SHEET_NAME || "QuestionLog");
+}
+
+async function readAnswerLog() {
+  return readRows(process.env.ANSWER_LOG_SHEET_NAME || "AnswerLog");
+}
+
+async function appendQuestionRows(rows) {
   const sheetName = process.env.QUESTION_LOG_SHEET_NAME || "QuestionLog";
-  return appendRows(sheetName, [row]);
+  return appendRows(sheetName, rows);
 }
 
 async function appendAnswerRows(rows) {
@@ -265,7 +137,11 @@ async function appendAnswerRows(rows) {
 module.exports = {
   loadTeamsFromSheet,
   loadQuestionsFromSheet,
+  loadSettingsFromSheet,
   updateScoresToSheet,
-  appendQuestionRow,
+  appendTeamRows,
+  appendQuestionRows,
   appendAnswerRows,
+  readQuestionLog,
+  readAnswerLog,
 };
@@ -0,0 +1,123 @@
+// state_persist.js
+// Saves each room's running game to a JSON file so it can be resumed after a crash/redeploy.
+// STATE_DIR (default data/state), one <ROOMCODE>.json per room. Writes are atomic (tmp file + rename).
+// - saveGameState writes right away (new phase, shutdown)
+// - queueGameStateSave coalesces the changes inside a phase (locks, the clock) into one background
+//   write per room every STATE_SAVE_DELAY_MS (default 250), so a burst of answers doesn't block the server
+
+const fs = require("fs");
+const path = require("path");
+
+function stateDirPath() {
+  const dir = process.env.STATE_DIR || path.join("data", "state");
+  return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+const SAVE_DELAY_MS = Number(process.env.STATE_SAVE_DELAY_MS) || 250;
+
+// roomCode -> { snapshot: () => object | null, timer, writing, seq }
+// seq goes up with every immediate save, so an older background write never replaces it
+const queued = new Map();
+
+function queueFor(roomCode) {
+  if (!queued.has(roomCode)) queued.set(roomCode, { snapshot: null, timer: null, writing: false, seq: 0 });
+  return queued.get(roomCode);
+}
+
+function saveGameState(roomCode, snapshot) {
+  const q = queueFor(roomCode);
+  q.seq += 1;
+  q.snapshot = null;
+  clearTimeout(q.timer);
+  q.timer = null;
+
+  const dir = stateDirPath();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, `${roomCode}.json`);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(snapshot), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+async function writeQueued(roomCode) {
+  const q = queueFor(roomCode);
+  q.timer = null;
+  const snapshot = q.snapshot;
+  if (!snapshot) return;
+  q.snapshot = null;
+  q.writing = true;
+
+  const seq = q.seq;
+  const dir = stateDirPath();
+  const file = path.join(dir, `${roomCode}.json`);
+  const tmp = `${file}.queued.tmp`;
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot()), "utf8");
+    if (q.seq === seq) fs.renameSync(tmp, file);
+    else await fs.promises.unlink(tmp);
+  } catch (err) {
+    console.error(`❌ [${roomCode}] Game state save failed:`, err.message || err);
+  } finally {
+    q.writing = false;
+    if (q.snapshot && !q.timer) q.timer = setTimeout(() => writeQueued(roomCode), SAVE_DELAY_MS);
+  }
+}
+
+// snapshot: () => the state to save; called once when the write happens, so it is always the latest
+function queueGameStateSave(roomCode, snapshot) {
+  const q = queueFor(roomCode);
+  q.snapshot = snapshot;
+  if (!q.timer && !q.writing) q.timer = setTimeout(() => writeQueued(roomCode), SAVE_DELAY_MS);
+}
+
+// Writes every queued save now (shutdown)
+function flushGameStateSaves() {
+  for (const [roomCode, q] of queued) {
+    if (!q.snapshot) continue;
+    try {
+      saveGameState(roomCode, q.snapshot());
+    } catch (err) {
+      console.error(`❌ [${roomCode}] Game state save failed:`, err.message || err);
+    }
+  }
+}
+
+// Forgets queued saves without writing them (replay.js)
+function cancelGameStateSaves() {
+  for (const q of queued.values()) {
+    clearTimeout(q.timer);
+    q.timer = null;
+    q.snapshot = null;
+  }
+}
+
+// Returns [{ file, saved }] for every readable saved game. Unreadable files are reported and skipped.
+function loadGameStates() {
+  const dir = stateDirPath();
+  if (!fs.existsSync(dir)) return [];
+
+  const out = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue;
+    const file = path.join(dir, name);
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (!saved.roomCode) saved.roomCode = path.basename(name, ".json");
+      out.push({ file, saved });
+    } catch (err) {
+      console.error(`❌ Saved game state is unreadable (${file}):`, err.message || err);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  stateDirPath,
+  saveGameState,
+  queueGameStateSave,
+  flushGameStateSaves,
+  cancelGameStateSaves,
+  loadGameStates,
+};
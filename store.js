@@ -0,0 +1,38 @@
+// store.js
+// Picks the data store backend. Both expose the same API:
+//   loadTeamsFromSheet, loadQuestionsFromSheet, loadSettingsFromSheet, updateScoresToSheet,
+//   appendTeamRows, appendQuestionRows, appendAnswerRows, readQuestionLog, readAnswerLog
+//
+// Game code doesn't call the write functions directly; it goes through write_queue.js.
+//
+// STORE_BACKEND=sheets (default) -> Google Sheets (sheets_store.js)
+// STORE_BACKEND=file             -> local CSV/JSON files (file_store.js), works offline
+
+function selectBackend() {
+  const name = String(process.env.STORE_BACKEND || "sheets").trim().toLowerCase();
+
+  if (name === "sheets" || name === "google") {
+    return { name: "Google Sheets", store: require("./sheets_store") };
+  }
+  if (name === "file" || name === "offline" || name === "local") {
+    const dir = process.env.OFFLINE_DATA_DIR || "data";
+    return { name: `offline files (${dir})`, store: require("./file_store") };
+  }
+
+  throw new Error(`Unknown STORE_BACKEND: ${name} (use "sheets" or "file")`);
+}
+
+const { name, store } = selectBackend();
+
+module.exports = {
+  STORE_NAME: name,
+  loadTeamsFromSheet: store.loadTeamsFromSheet,
+  loadQuestionsFromSheet: store.loadQuestionsFromSheet,
+  loadSettingsFromSheet: store.loadSettingsFromSheet,
+  updateScoresToSheet: store.updateScoresToSheet,
+  appendTeamRows: store.appendTeamRows,
+  appendQuestionRows: store.appendQuestionRows,
+  appendAnswerRows: store.appendAnswerRows,
+  readQuestionLog: store.readQuestionLog,
+  readAnswerLog: store.readAnswerLog,
+};
@@ -0,0 +1,84 @@
+// team_registration.js
+// Open registration in the lobby: a device sends a team name, members and an optional photo, the
+// host approves it in the panel and the team gets a generated PIN (appended to the Teams tab).
+// - Photos arrive as data URLs (the team page shrinks them first) and are saved to public/teams
+// - PINs are 4 digits, never one already in the room's Teams tab or handed to a bot
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MAX_NAME_LENGTH = 40;
+const MAX_MEMBERS = 8;
+const MAX_MEMBER_LENGTH = 40;
+// waiting photos are kept in memory until the host decides (the team page sends ~256px JPEGs)
+const MAX_AVATAR_BYTES = 64 * 1024;
+const MAX_PENDING = Math.max(1, Number(process.env.MAX_PENDING_REGISTRATIONS) || 20);
+
+const AVATAR_DIR = path.join(__dirname, "public", "teams");
+const AVATAR_TYPES = { "image/jpeg": "jpg", "image/png": "png", "image/webp": "webp" };
+
+function cleanText(x, max) {
+  return String(x ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+}
+
+// "data:image/jpeg;base64,..." -> { ext, data } | { error }
+function readAvatar(dataUrl) {
+  const m = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl));
+  const ext = m && AVATAR_TYPES[m[1]];
+  if (!ext) return { error: "The photo must be a JPEG, PNG or WebP image." };
+  const data = Buffer.from(m[2], "base64");
+  if (data.length > MAX_AVATAR_BYTES) return { error: `The photo is too large (max ${Math.round(MAX_AVATAR_BYTES / 1024)} KB).` };
+  return { ext, data };
+}
+
+// raw: { name, members (array or comma list), avatar (data URL, optional) }
+// -> { name, members, avatar: { ext, data } | null } | { error }
+function normalizeRegistration(raw = {}) {
+  const name = cleanText(raw.name, MAX_NAME_LENGTH + 1);
+  if (!name) return { error: "Enter a team name." };
+  if (name.length > MAX_NAME_LENGTH) return { error: `The team name is too long (max ${MAX_NAME_LENGTH} characters).` };
+
+  const list = Array.isArray(raw.members) ? raw.members : String(raw.members ?? "").split(",");
+  const members = list.map(m => cleanText(m, MAX_MEMBER_LENGTH)).filter(Boolean);
+  if (members.length > MAX_MEMBERS) return { error: `At most ${MAX_MEMBERS} members per team.` };
+
+  let avatar = null;
+  if (raw.avatar) {
+    avatar = readAvatar(raw.avatar);
+    if (avatar.error) return { error: avatar.error };
+  }
+  return { name, members, avatar };
+}
+
+function sameName(a, b) {
+  return a.toLocaleLowerCase() === b.toLocaleLowerCase();
+}
+
+// taken: Set of PINs in use
+function generatePin(taken) {
+  for (let i = 0; i < 1000; i++) {
+    const pin = String(crypto.randomInt(1000, 10000));
+    if (!taken.has(pin)) return pin;
+  }
+  // a room with thousands of teams: go longer
+  let pin;
+  do pin = String(crypto.randomInt(100000, 1000000)); while (taken.has(pin));
+  return pin;
+}
+
+// Saves the photo next to the other team avatars; returns its URL for the Teams tab
+function saveAvatar(pin, avatar) {
+  const file = `registered-${pin}-${Date.now()}.${avatar.ext}`;
+  fs.mkdirSync(AVATAR_DIR, { recursive: true });
+  fs.writeFileSync(path.join(AVATAR_DIR, file), avatar.data);
+  return `/teams/${file}`;
+}
+
+module.exports = {
+  MAX_PENDING,
+  normalizeRegistration,
+  sameName,
+  generatePin,
+  saveAvatar,
+};
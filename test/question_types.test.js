@@ -0,0 +1,53 @@
+// question_types.test.js
+// Grading per question type: exact answers, partial credit for multi / order, closest wins for numeric.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildAnswerKey, normalizeAnswer, gradeAnswers } = require("../question_types");
+
+function question(type, choices, correct, partial) {
+  const key = buildAnswerKey(type, choices, correct, partial);
+  assert.ok(!key.error, key.error);
+  return { type, ...key.fields };
+}
+
+function grade(q, byPin) {
+  const answers = new Map(Object.entries(byPin).map(([pin, raw]) => [pin, raw == null ? null : normalizeAnswer(q, raw)]));
+  return Object.fromEntries(gradeAnswers(q, answers));
+}
+
+test("multi without partial credit: only the exact set counts", () => {
+  const q = question("multi", ["a", "b", "c", "d"], "A,C", false);
+  assert.deepEqual(grade(q, { 1: [2, 0], 2: [0], 3: [0, 1, 2], 4: null }), { 1: 1, 2: 0, 3: 0, 4: 0 });
+});
+
+test("multi with partial credit: right picks count, wrong picks cancel them, never below 0", () => {
+  const q = question("multi", ["a", "b", "c", "d"], "A,C", true);
+  assert.deepEqual(grade(q, { 1: [0, 2], 2: [0], 3: [0, 1, 2], 4: [0, 1], 5: [1, 3] }), { 1: 1, 2: 0.5, 3: 0.5, 4: 0, 5: 0 });
+});
+
+test("order without partial credit: only the full sequence counts", () => {
+  const q = question("order", ["a", "b", "c", "d"], "C,A,B,D", false);
+  assert.deepEqual(grade(q, { 1: [2, 0, 1, 3], 2: [2, 0, 3, 1] }), { 1: 1, 2: 0 });
+});
+
+test("order with partial credit: share of items in the right position", () => {
+  const q = question("order", ["a", "b", "c", "d"], "C,A,B,D", true);
+  assert.deepEqual(grade(q, { 1: [2, 0, 1, 3], 2: [2, 0, 3, 1], 3: [0, 1, 2, 3], 4: [3, 1, 0, 2] }), { 1: 1, 2: 0.5, 3: 0.25, 4: 0 });
+});
+
+test("order answers must use every item once", () => {
+  const q = question("order", ["a", "b", "c"], "B,A,C", true);
+  assert.equal(normalizeAnswer(q, [0, 0, 1]), null);
+  assert.equal(normalizeAnswer(q, [0, 1]), null);
+});
+
+test("numeric: the closest team(s) get full credit, everyone else none", () => {
+  const q = question("numeric", [], "1945");
+  assert.deepEqual(grade(q, { 1: "1950", 2: "1940", 3: "1900", 4: null, 5: "abc" }), { 1: 1, 2: 1, 3: 0, 4: 0, 5: 0 });
+});
+
+test("numeric: an exact answer beats a close one, decimal commas are read", () => {
+  const q = question("numeric", [], "3,5");
+  assert.deepEqual(grade(q, { 1: "3.5", 2: "3,4" }), { 1: 1, 2: 0 });
+});
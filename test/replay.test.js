@@ -0,0 +1,96 @@
+// replay.test.js
+// A journal replays to the same game every time: shuffles come from the journaled seed, lock times
+// from the journaled clock.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { nextRandom } = require("../seeded_random");
+
+const REPLAY = path.join(__dirname, "..", "replay.js");
+const T0 = Date.UTC(2026, 1, 14, 20, 0, 0);
+const PINS = ["1111", "2222", "3333", "4444"];
+
+function question(qId, text, correctIndex) {
+  return { qId, type: "mc", text, choices: ["1", "2", "3", "4"], correctIndex, timeSec: 10 };
+}
+
+// host starts Q1, every team locks a different option, host reveals
+function gameJournal(seed) {
+  const entries = [{
+    t: T0,
+    type: "open",
+    room: { code: "MAIN", questionsSheet: "Questions", teamsSheet: "Teams", tieBreakSheet: "TieBreakers" },
+    data: {
+      teamRegistry: PINS.map(pin => ({ pin, name: `Team ${pin}`, avatarUrl: "", members: [], powerupLimits: null })),
+      questionBank: [question("1", "One plus one?", 1), question("2", "Two plus two?", 3), question("3", "Three?", 2)],
+      tieBreakBank: [],
+      settings: { title: "Replay test", shuffleQuestions: true, shuffleChoices: true },
+    },
+    gameId: "replay-test",
+    seed,
+  }];
+  const at = (ms, entry) => entries.push({ t: T0 + ms, ...entry });
+
+  at(100, { type: "connect", socket: "host", room: "", ip: "", userAgent: "" });
+  at(101, { type: "role", socket: "host", role: "host" });
+  PINS.forEach((pin, i) => {
+    at(200 + i * 10, { type: "connect", socket: `team${i}`, room: "", ip: "", userAgent: "" });
+    at(201 + i * 10, { type: "cmd", socket: `team${i}`, event: "joinTeam", args: [{ pin }] });
+  });
+  at(1000, { type: "cmd", socket: "host", event: "hostStart", args: [] });
+  at(1500, { type: "cmd", socket: "host", event: "hostPauseToggle", args: [] });
+  PINS.forEach((pin, i) => {
+    at(2500 + i * 500, { type: "cmd", socket: `team${i}`, event: "lockAnswer", args: [i], rttMs: null });
+  });
+  at(8000, { type: "cmd", socket: "host", event: "hostReveal", args: [] });
+  return entries;
+}
+
+function replay(entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-test-"));
+  try {
+    const file = path.join(dir, "MAIN.jsonl");
+    fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join("\n") + "\n");
+    const out = execFileSync(process.execPath, [REPLAY, file, "--json"], { encoding: "utf8", timeout: 60000 });
+    return out.trim().split("\n").map(line => JSON.parse(line));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("seeded draws repeat for the same seed", () => {
+  const draws = (seed) => {
+    const holder = { rngState: seed };
+    return Array.from({ length: 5 }, () => nextRandom(holder));
+  };
+  assert.deepEqual(draws(42), draws(42));
+  assert.notDeepEqual(draws(42), draws(43));
+  assert.ok(draws(42).every(x => x >= 0 && x < 1));
+});
+
+test("replaying a journal twice gives the same timeline", () => {
+  const journal = gameJournal(12345);
+  const first = replay(journal);
+  assert.equal(first.length, journal.length);
+  assert.deepEqual(replay(journal), first);
+});
+
+test("the replayed game matches the journal: seed, lock times and scores", () => {
+  const { state } = replay(gameJournal(12345)).pop();
+  assert.equal(state.gameId, "replay-test");
+  assert.equal(state.seed, 12345);
+  assert.equal(state.phase, "revealed");
+  assert.deepEqual(state.gameQuestions.map(q => q.qId).sort(), ["1", "2", "3"]);
+
+  // clock started at +1.5s, team i locked option i at +2.5s + i half-seconds (all inside the grace window)
+  const q = state.gameQuestions[0];
+  const teams = new Map(state.teams.map(t => [t.pin, t]));
+  PINS.forEach((pin, i) => {
+    assert.equal(teams.get(pin).lockedAtRunMs, 1000 + i * 500);
+    assert.equal(teams.get(pin).score, i === q.correctIndex ? 20 : 0, `team ${pin} locked ${i}, correct was ${q.correctIndex}`);
+  });
+});
@@ -0,0 +1,57 @@
+// scoring.test.js
+// Built-in scoring profiles, per-question overrides and the points breakdown.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveProfile, scoreAnswer } = require("../scoring");
+
+function points(profile, answer, q) {
+  return scoreAnswer(resolveProfile(profile, q), { answered: true, timeSec: 20, streak: 0, ...answer });
+}
+
+test("classic: full points inside the grace window, then -1 per started second", () => {
+  assert.equal(points("classic", { credit: 1, lockedAtRunMs: 4000 }).points, 20);
+  assert.equal(points("classic", { credit: 1, lockedAtRunMs: 6500 }).points, 17);
+  assert.equal(points("classic", { credit: 1, lockedAtRunMs: 30000 }).points, 0);
+});
+
+test("flat: every correct answer gets the same points", () => {
+  assert.equal(points("flat", { credit: 1, lockedAtRunMs: 500 }).points, 20);
+  assert.equal(points("flat", { credit: 1, lockedAtRunMs: 19500 }).points, 20);
+});
+
+test("speed: slides from maxPoints down to minPoints at the end of the timer", () => {
+  assert.equal(points("speed", { credit: 1, lockedAtRunMs: 1000 }).points, 100);
+  assert.equal(points("speed", { credit: 1, lockedAtRunMs: 10500 }).points, 55);
+  assert.equal(points("speed", { credit: 1, lockedAtRunMs: 20000 }).points, 10);
+});
+
+test("strict: a wrong answer costs points, no answer does not", () => {
+  const wrong = points("strict", { credit: 0, lockedAtRunMs: 2000 });
+  assert.equal(wrong.penalty, 5);
+  assert.equal(wrong.points, -5);
+  assert.equal(points("strict", { credit: 0, answered: false }).penalty, 0);
+});
+
+test("streak: bonus per consecutive correct answer, capped", () => {
+  const third = points("streak", { credit: 1, lockedAtRunMs: 1000, streak: 2 });
+  assert.deepEqual([third.streak, third.streakBonus, third.points], [3, 4, 24]);
+  assert.equal(points("streak", { credit: 1, lockedAtRunMs: 1000, streak: 10 }).streakBonus, 10);
+});
+
+test("partial credit scales the speed points and ends the streak", () => {
+  const half = points("streak", { credit: 0.5, lockedAtRunMs: 1000, streak: 4 });
+  assert.deepEqual([half.base, half.streakBonus, half.streak, half.points], [10, 0, 0, 10]);
+});
+
+test("a question can switch profile or override single values", () => {
+  assert.equal(resolveProfile("classic", { scoring: { profile: "speed" } }).name, "speed");
+  assert.equal(points("classic", { credit: 1, lockedAtRunMs: 1000 }, { scoring: { multiplier: 2 } }).points, 40);
+  assert.equal(points("flat", { credit: 1, lockedAtRunMs: 1000 }, { scoring: { maxPoints: 50 } }).points, 50);
+});
+
+test("unknown profiles fall back to the default and bad overrides are clamped", () => {
+  assert.equal(resolveProfile("nope", null).name, "classic");
+  assert.equal(resolveProfile("classic", { scoring: { maxPoints: -3, graceSec: "x" } }).maxPoints, 0);
+  assert.equal(resolveProfile("classic", { scoring: { graceSec: "x" } }).graceSec, 4);
+});
@@ -0,0 +1,48 @@
+// tiebreak.test.js
+// Podium ties and the fastest correct answer in sudden death.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { standings, findPodiumTie, fastestCorrect } = require("../tiebreak");
+
+const team = (pin, score, extra) => ({ pin, score, ...extra });
+
+test("standings: equal scores share a place, the next place is skipped", () => {
+  const rows = standings([team("1", 10), team("2", 30), team("3", 30), team("4", 5)]);
+  assert.deepEqual(rows.map(r => [r.team.pin, r.place]), [["2", 1], ["3", 1], ["1", 3], ["4", 4]]);
+});
+
+test("standings: sudden-death wins break a tie", () => {
+  const rows = standings([team("1", 30, { tieBreakRank: 2 }), team("2", 30, { tieBreakRank: 1 }), team("3", 30)]);
+  assert.deepEqual(rows.map(r => [r.team.pin, r.place]), [["2", 1], ["1", 2], ["3", 3]]);
+});
+
+test("findPodiumTie: the best-placed tie inside the podium", () => {
+  assert.deepEqual(findPodiumTie([team("1", 40), team("2", 30), team("3", 30), team("4", 20), team("5", 20)]), { place: 2, pins: ["2", "3"] });
+});
+
+test("findPodiumTie: ties below the podium don't matter", () => {
+  assert.equal(findPodiumTie([team("1", 40), team("2", 30), team("3", 20), team("4", 10), team("5", 10)]), null);
+  assert.deepEqual(findPodiumTie([team("1", 40), team("2", 10), team("3", 10)], 1), null);
+});
+
+test("findPodiumTie: a tie at 0 points is not played off", () => {
+  assert.equal(findPodiumTie([team("1", 0), team("2", 0)]), null);
+  assert.deepEqual(findPodiumTie([team("1", 20), team("2", 0), team("3", 0), team("4", 5), team("5", 5)]), { place: 2, pins: ["4", "5"] });
+});
+
+test("fastestCorrect: fastest fully correct answer among the tied teams", () => {
+  const teams = [
+    team("1", 30, { lockedAtRunMs: 2000 }),
+    team("2", 30, { lockedAtRunMs: 1500 }),
+    team("3", 30, { lockedAtRunMs: 900 }),
+    team("4", 20, { lockedAtRunMs: 100 }),
+  ];
+  const credits = new Map([["1", 1], ["2", 1], ["3", 0.5], ["4", 1]]);
+  assert.equal(fastestCorrect(teams, ["1", "2", "3"], credits), "2");
+});
+
+test("fastestCorrect: nobody right, or nobody locked, leaves the tie", () => {
+  const teams = [team("1", 30, { lockedAtRunMs: 1000 }), team("2", 30, { lockedAtRunMs: null })];
+  assert.equal(fastestCorrect(teams, ["1", "2"], new Map([["1", 0], ["2", 1]])), "");
+});
@@ -0,0 +1,137 @@
+// write_queue.test.js
+// Dedupe, merged score updates and retry ordering of the write queue, against a fake store.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "write-queue-test-"));
+process.env.WRITE_QUEUE_FILE = path.join(tmpDir, "write_queue.json");
+
+// the store records every write; a kind listed in `failing` throws instead
+const calls = [];
+const failing = new Set();
+function fakeWrite(kind) {
+  return async (...args) => {
+    if (failing.has(kind)) throw new Error(`${kind} is down`);
+    calls.push([kind, ...args]);
+  };
+}
+require.cache[require.resolve("../store")] = {
+  exports: {
+    appendQuestionRows: fakeWrite("question"),
+    appendAnswerRows: fakeWrite("answer"),
+    updateScoresToSheet: fakeWrite("scores"),
+    appendTeamRows: fakeWrite("team"),
+  },
+};
+
+const realNow = Date.now;
+let queue;
+
+test.beforeEach(() => {
+  calls.length = 0;
+  failing.clear();
+  fs.rmSync(process.env.WRITE_QUEUE_FILE, { force: true });
+  delete require.cache[require.resolve("../write_queue")];
+  queue = require("../write_queue");
+});
+
+test.afterEach(() => {
+  Date.now = realNow;
+  queue.saveWriteQueue();
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("a dedupe key is queued once and never written twice", async () => {
+  assert.equal(queue.enqueueQuestionRow("run-1", ["Q1"]), true);
+  assert.equal(queue.enqueueQuestionRow("run-1", ["Q1 again"]), false);
+  assert.equal(queue.enqueueAnswerRows([{ key: "run-1:1111", row: ["a"] }, { key: "run-1:1111", row: ["b"] }]), 1);
+
+  await queue.flushWriteQueue();
+  assert.equal(queue.enqueueQuestionRow("run-1", ["Q1 after write"]), false);
+  assert.equal(queue.enqueueAnswerRows([{ key: "run-1:1111", row: ["c"] }, { key: "run-1:2222", row: ["d"] }]), 1);
+
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls, [
+    ["question", [["Q1"]]],
+    ["answer", [["a"]]],
+    ["answer", [["d"]]],
+  ]);
+});
+
+test("score updates for the same tab are merged, the newest score per PIN wins", async () => {
+  queue.enqueueScores("Teams", { 1111: 10, 2222: 5 });
+  queue.enqueueScores("Teams", { 1111: 30 });
+  queue.enqueueScores("Other", { 3333: 7 });
+
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls, [
+    ["scores", { 1111: 30, 2222: 5 }, "Teams"],
+    ["scores", { 3333: 7 }, "Other"],
+  ]);
+});
+
+test("a failed write stays queued, waits for its backoff and is retried in order", async () => {
+  let now = realNow();
+  Date.now = () => now;
+
+  failing.add("question");
+  queue.enqueueQuestionRow("run-1", ["Q1"]);
+  queue.enqueueQuestionRow("run-2", ["Q2"]);
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls, []);
+  const status = queue.getQueueStatus();
+  assert.deepEqual([status.pending, status.failing], [2, 2]);
+  assert.match(status.lastError, /question is down/);
+
+  failing.clear();
+  queue.enqueueQuestionRow("run-3", ["Q3"]);
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls, [["question", [["Q3"]]]], "rows still backing off are not sent yet");
+
+  now = status.nextRetryAt;
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls.slice(1), [["question", [["Q1"], ["Q2"]]]]);
+  assert.equal(queue.getQueueStatus().pending, 0);
+});
+
+test("scores for a Teams tab wait until its new team rows are written", async () => {
+  let now = realNow();
+  Date.now = () => now;
+
+  failing.add("team");
+  queue.enqueueTeamRow("Teams", { pin: "4444", name: "New" });
+  queue.enqueueScores("Teams", { 1111: 10, 4444: 20 });
+  queue.enqueueScores("Other", { 3333: 7 });
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls, [["scores", { 3333: 7 }, "Other"]]);
+
+  failing.clear();
+  now = queue.getQueueStatus().nextRetryAt;
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls.slice(1), [
+    ["team", [{ pin: "4444", name: "New" }], "Teams"],
+    ["scores", { 1111: 10, 4444: 20 }, "Teams"],
+  ]);
+});
+
+test("pending writes are saved and restored after a restart", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  failing.add("answer");
+  queue.enqueueAnswerRows([{ key: "run-1:1111", row: ["a"] }]);
+  await queue.flushWriteQueue();
+  queue.saveWriteQueue();
+
+  delete require.cache[require.resolve("../write_queue")];
+  queue = require("../write_queue");
+  failing.clear();
+  queue.startWriteQueue();
+  await queue.flushWriteQueue();
+  assert.deepEqual(calls, [["answer", [["a"]]]]);
+});
@@ -0,0 +1,58 @@
+// tiebreak.js
+// Podium ties and sudden death.
+// - Standings: score first, then the order teams won sudden-death questions (tieBreakRank, lower = better)
+// - A tie matters when two or more teams share a place within the podium (PODIUM_PLACES, default 3);
+//   a tie at 0 points (nobody scored) is not played off
+// - Sudden-death questions come from a separate pool (TieBreakers tab, same columns as Questions)
+// - Fastest fully correct answer wins; nobody correct = the tie stands and the next question is played
+
+const PODIUM_PLACES = Math.max(1, Number(process.env.PODIUM_PLACES) || 3);
+
+function rankKey(t) {
+  return t.tieBreakRank == null ? Number.MAX_SAFE_INTEGER : t.tieBreakRank;
+}
+
+function compareTeams(a, b) {
+  return (b.score - a.score) || (rankKey(a) - rankKey(b));
+}
+
+// [{ team, place }] best first; teams with the same score and tie-break rank share a place
+function standings(teams) {
+  const sorted = [...teams].sort(compareTeams);
+  const out = [];
+  sorted.forEach((team, i) => {
+    const prev = out[i - 1];
+    const place = prev && compareTeams(prev.team, team) === 0 ? prev.place : i + 1;
+    out.push({ team, place });
+  });
+  return out;
+}
+
+// The best-placed tie inside the podium: { place, pins } or null
+function findPodiumTie(teams, podium = PODIUM_PLACES) {
+  const rows = standings(teams);
+  for (const { place } of rows) {
+    if (place > podium) break;
+    const tied = rows.filter(r => r.place === place);
+    if (tied.length > 1 && tied[0].team.score !== 0) return { place, pins: tied.map(r => r.team.pin) };
+  }
+  return null;
+}
+
+// Pin of the fastest fully correct answer among `pins`, or "" when nobody got it right
+function fastestCorrect(teams, pins, credits) {
+  let best = null;
+  for (const t of teams) {
+    if (!pins.includes(t.pin)) continue;
+    if ((credits.get(t.pin) || 0) < 1 || t.lockedAtRunMs == null) continue;
+    if (!best || t.lockedAtRunMs < best.lockedAtRunMs) best = t;
+  }
+  return best ? best.pin : "";
+}
+
+module.exports = {
+  PODIUM_PLACES,
+  standings,
+  findPodiumTie,
+  fastestCorrect,
+};
@@ -0,0 +1,231 @@
+// write_queue.js
+// One outbound queue for every store write (QuestionLog, AnswerLog, Teams scores and new teams).
+// - Game code only enqueues; a background flush sends the writes in batches
+// - Failed writes stay queued and are retried with exponential backoff
+// - Rows carry a dedupe key (questionRunId / questionRunId + pin); a key is written once
+// - Score updates for the same Teams tab are merged, the newest score per PIN wins
+// - Pending writes are saved to WRITE_QUEUE_FILE (default data/write_queue.json) and picked up after a restart;
+//   changes are coalesced into one save every WRITE_QUEUE_SAVE_MS (default 200), saveWriteQueue() saves now (shutdown)
+
+const fs = require("fs");
+const path = require("path");
+const { appendQuestionRows, appendAnswerRows, updateScoresToSheet, appendTeamRows } = require("./store");
+
+const FLUSH_MS = Number(process.env.WRITE_QUEUE_FLUSH_MS) || 1000;
+const BATCH_ROWS = Number(process.env.WRITE_QUEUE_BATCH) || 200;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+const SENT_KEYS_KEPT = 20000;
+const SAVE_DELAY_MS = Number(process.env.WRITE_QUEUE_SAVE_MS) || 200;
+
+// items: { kind: "question"|"answer"|"scores"|"team", key, row?, sheetName?, pinToScore?, team?,
+//          enqueuedAt, attempts, nextAttemptAt, lastError }
+let items = [];
+let sentKeys = new Set();      // dedupe keys already written (oldest first)
+let flushing = false;
+let timer = null;
+let saveTimer = null;
+let onChange = () => {};
+
+const stats = {
+  lastSuccessAt: 0,
+  lastErrorAt: 0,
+  lastError: "",
+  written: 0,
+};
+
+function queueFilePath() {
+  const file = process.env.WRITE_QUEUE_FILE || path.join("data", "write_queue.json");
+  return path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+}
+
+// ------------------- DISK -------------------
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  const file = queueFilePath();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ savedAt: Date.now(), items, sentKeys: [...sentKeys] }), "utf8");
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error("❌ Write queue save failed:", err.message || err);
+  }
+}
+
+function load() {
+  const file = queueFilePath();
+  if (!fs.existsSync(file)) return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    items = Array.isArray(saved.items) ? saved.items : [];
+    sentKeys = new Set(Array.isArray(saved.sentKeys) ? saved.sentKeys : []);
+    // retry right away after a restart
+    for (const it of items) it.nextAttemptAt = 0;
+    if (items.length) console.log(`♻️ Write queue: ${items.length} pending write(s) restored from ${file}.`);
+  } catch (err) {
+    console.error(`❌ Write queue file is unreadable (${file}), starting empty:`, err.message || err);
+  }
+}
+
+function changed() {
+  if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY_MS);
+  try { onChange(getQueueStatus()); } catch (err) { console.error("❌ Write queue status listener failed:", err.message || err); }
+}
+
+// ------------------- ENQUEUE -------------------
+function isDuplicate(key) {
+  if (!key) return false;
+  return sentKeys.has(key) || items.some(it => it.key === key);
+}
+
+function newItem(fields) {
+  return { ...fields, enqueuedAt: Date.now(), attempts: 0, nextAttemptAt: 0, lastError: "" };
+}
+
+// key: questionRunId
+function enqueueQuestionRow(key, row) {
+  if (isDuplicate(`Q:${key}`)) return false;
+  items.push(newItem({ kind: "question", key: `Q:${key}`, row }));
+  changed();
+  return true;
+}
+
+// entries: [{ key: `${questionRunId}:${pin}`, row }]; already queued/written keys are dropped
+function enqueueAnswerRows(entries) {
+  let added = 0;
+  for (const { key, row } of entries) {
+    if (isDuplicate(`A:${key}`)) continue;
+    items.push(newItem({ kind: "answer", key: `A:${key}`, row }));
+    added++;
+  }
+  if (added) changed();
+  return added;
+}
+
+// Scores for one Teams tab; merged into a pending update for the same tab if there is one
+function enqueueScores(sheetName, pinToScore) {
+  const pending = items.find(it => it.kind === "scores" && it.sheetName === sheetName);
+  if (pending) Object.assign(pending.pinToScore, pinToScore);
+  else items.push(newItem({ kind: "scores", key: "", sheetName, pinToScore: { ...pinToScore } }));
+  changed();
+}
+
+// A self-registered team for the Teams tab; scores for that tab wait until its row is written
+function enqueueTeamRow(sheetName, team) {
+  if (isDuplicate(`T:${sheetName}:${team.pin}`)) return false;
+  items.push(newItem({ kind: "team", key: `T:${sheetName}:${team.pin}`, sheetName, team }));
+  changed();
+  return true;
+}
+
+// ------------------- FLUSH -------------------
+function backoffMs(attempts) {
+  const ms = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return ms + Math.floor(Math.random() * 250);
+}
+
+function rememberSent(batch) {
+  for (const it of batch) if (it.key) sentKeys.add(it.key);
+  while (sentKeys.size > SENT_KEYS_KEPT) sentKeys.delete(sentKeys.values().next().value);
+}
+
+async function sendBatch(batch, send, label) {
+  try {
+    await send();
+    items = items.filter(it => !batch.includes(it));
+    rememberSent(batch);
+    stats.lastSuccessAt = Date.now();
+    stats.written += batch.length;
+    console.log(`🧾 ${label}: written (${items.length} still queued).`);
+  } catch (err) {
+    const msg = String(err && err.message ? err.message : err);
+    const attempts = Math.max(...batch.map(it => it.attempts)) + 1;
+    const waitMs = backoffMs(attempts);
+    for (const it of batch) {
+      it.attempts = attempts;
+      it.lastError = msg;
+      it.nextAttemptAt = Date.now() + waitMs;
+    }
+    stats.lastErrorAt = Date.now();
+    stats.lastError = msg;
+    console.error(`❌ ${label} failed (attempt ${attempts}, retry in ${Math.round(waitMs / 1000)}s):`, msg);
+  }
+}
+
+async function flush() {
+  if (flushing) return;
+  const now = Date.now();
+  const due = items.filter(it => it.nextAttemptAt <= now);
+  if (!due.length) return;
+
+  flushing = true;
+  try {
+    const questions = due.filter(it => it.kind === "question").slice(0, BATCH_ROWS);
+    if (questions.length) {
+      await sendBatch(questions, () => appendQuestionRows(questions.map(it => it.row)), `QuestionLog: ${questions.length} row(s)`);
+    }
+
+    const answers = due.filter(it => it.kind === "answer").slice(0, BATCH_ROWS);
+    if (answers.length) {
+      await sendBatch(answers, () => appendAnswerRows(answers.map(it => it.row)), `AnswerLog: ${answers.length} row(s)`);
+    }
+
+    for (const sheetName of new Set(due.filter(it => it.kind === "team").map(it => it.sheetName))) {
+      const teams = due.filter(it => it.kind === "team" && it.sheetName === sheetName);
+      await sendBatch(teams, () => appendTeamRows(teams.map(it => it.team), sheetName), `${sheetName}: ${teams.length} new team(s)`);
+    }
+
+    for (const it of due.filter(x => x.kind === "scores")) {
+      // a new team's row must be on the tab first, or its score would be skipped (retried next flush)
+      if (items.some(x => x.kind === "team" && x.sheetName === it.sheetName)) continue;
+      // snapshot: scores merged in while this write is in flight stay queued for the next one
+      const sent = { ...it.pinToScore };
+      await sendBatch([it], () => updateScoresToSheet(sent, it.sheetName), `${it.sheetName} totals`);
+      const stillQueued = items.includes(it);
+      if (!stillQueued) {
+        const newer = Object.keys(it.pinToScore).filter(pin => it.pinToScore[pin] !== sent[pin]);
+        if (newer.length) enqueueScores(it.sheetName, Object.fromEntries(newer.map(pin => [pin, it.pinToScore[pin]])));
+      }
+    }
+  } finally {
+    flushing = false;
+    changed();
+  }
+}
+
+function getQueueStatus() {
+  const now = Date.now();
+  const oldest = Math.min(...items.map(it => it.enqueuedAt));
+  const failing = items.filter(it => it.attempts > 0);
+  return {
+    pending: items.length,
+    failing: failing.length,
+    oldestAgeMs: items.length ? now - oldest : 0,
+    nextRetryAt: failing.length ? Math.min(...failing.map(it => it.nextAttemptAt)) : 0,
+    lastSuccessAt: stats.lastSuccessAt,
+    lastErrorAt: stats.lastErrorAt,
+    lastError: stats.lastError,
+    written: stats.written,
+  };
+}
+
+// Loads pending writes from disk and starts the background flush.
+// listener(status) is called whenever the queue changes.
+function startWriteQueue(listener) {
+  if (typeof listener === "function") onChange = listener;
+  load();
+  if (!timer) timer = setInterval(() => { flush().finally(() => {}); }, FLUSH_MS);
+}
+
+module.exports = {
+  startWriteQueue,
+  enqueueQuestionRow,
+  enqueueAnswerRows,
+  enqueueScores,
+  enqueueTeamRow,
+  flushWriteQueue: flush,
+  saveWriteQueue: save,
+  getQueueStatus,
+};